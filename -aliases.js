@@ -0,0 +1,105 @@
+import * as fs from "fs";
+import * as d3 from 'd3';
+
+// An alias table merges node ids that designate the same entity (renamed
+// accounts, merged organisations...) into a canonical id. It is a CSV or TSV
+// file with an "alias" and an "id" column (the canonical id), and optionally
+// a "label" column giving the label of the canonical node.
+// Nodes are renamed as they are read, as well as the sources, targets and
+// parents (pid) referring to them, so that the rest of the slicing sees one
+// node.
+
+
+/// LOAD
+
+// Returns {aliases, labels}: aliases maps each alias to its canonical id
+// (chains of aliases are followed), labels maps canonical ids to the labels
+// of the table.
+export function loadAliasTable(file) {
+  const text = fs.readFileSync(file, 'utf8')
+  const rows = (/\.tsv$/i.test(file) ? d3.tsvParse : d3.csvParse)(text)
+  if (!rows.columns.includes("alias") || !rows.columns.includes("id")) {
+    throw new Error(`The alias table ${file} must have an "alias" and an "id" column.`)
+  }
+  let directAliases = new Map()
+  let labels = new Map()
+  rows.forEach((row, i) => {
+    const alias = row.alias.trim()
+    const id = row.id.trim()
+    if (alias == "" || id == "") {
+      throw new Error(`Row ${i+2} of the alias table ${file} has no alias or no id.`)
+    }
+    if (directAliases.has(alias) && directAliases.get(alias) != id) {
+      throw new Error(`The alias "${alias}" has two ids in the alias table ${file}: "${directAliases.get(alias)}" and "${id}".`)
+    }
+    if (alias != id) {
+      directAliases.set(alias, id)
+    }
+    if (row.label && row.label.trim() != "") {
+      labels.set(id, row.label.trim())
+    }
+  })
+
+  // Follow chains (a -> b, b -> c gives a -> c)
+  let aliases = new Map()
+  directAliases.forEach((id, alias) => {
+    let visited = new Set([alias])
+    while (directAliases.has(id)) {
+      if (visited.has(id)) {
+        throw new Error(`The alias table ${file} has a cycle of aliases through "${alias}".`)
+      }
+      visited.add(id)
+      id = directAliases.get(id)
+    }
+    aliases.set(alias, id)
+  })
+  labels.forEach((label, id) => {
+    if (aliases.has(id)) {
+      labels.delete(id)
+      if (!labels.has(aliases.get(id))) {
+        labels.set(aliases.get(id), label)
+      }
+    }
+  })
+  return {aliases, labels}
+}
+
+
+/// RENAME
+
+// Renames a node or edge element read from a GEXF, a CSV or snapshots. A
+// renamed node keeps its own id as "alias".
+export function renameNodeElement(nodeElement, aliases) {
+  if (aliases.has(nodeElement.id)) {
+    nodeElement.alias = nodeElement.id
+    nodeElement.id = aliases.get(nodeElement.id)
+  }
+  if (aliases.has(nodeElement.pid)) {
+    nodeElement.pid = aliases.get(nodeElement.pid)
+  }
+  return nodeElement
+}
+export function renameEdgeElement(edgeElement, aliases) {
+  if (aliases.has(edgeElement.source)) {
+    edgeElement.source = aliases.get(edgeElement.source)
+  }
+  if (aliases.has(edgeElement.target)) {
+    edgeElement.target = aliases.get(edgeElement.target)
+  }
+  return edgeElement
+}
+
+
+/// MERGE
+
+// Merges a node into another node of the same slice with the same canonical
+// id: the values missing from the first node are taken from the second.
+export function mergeNodes(node, otherNode) {
+  let merged = {...node}
+  for (let key in otherNode) {
+    if (merged[key] === undefined || merged[key] === null || merged[key] === "") {
+      merged[key] = otherNode[key]
+    }
+  }
+  return merged
+}
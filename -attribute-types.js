@@ -0,0 +1,52 @@
+/// CAST ATTRIBUTE VALUES
+
+// GEXF attribute types read as numbers or booleans. Other types (string,
+// anyURI, date...) stay strings.
+const numberTypes = ["integer", "long", "short", "byte", "float", "double", "biginteger", "bigdecimal"]
+const booleanTypes = ["boolean"]
+
+// Casts the raw string of an attribute value to its declared type.
+// List types ("liststring", "listinteger"...) give arrays, from either the
+// GEXF 1.3 syntax ("[a, b, c]") or the older one ("a|b|c").
+// Returns {value}, or {error} with the raw string as value if it does not
+// match the type.
+export function castAttributeValue(string, type) {
+  if (string === undefined) {
+    return {value: undefined}
+  }
+  if (type && type.startsWith("list")) {
+    const itemType = type.substring(4)
+    let items = String(string).trim()
+    if (items.startsWith("[") && items.endsWith("]")) {
+      items = items.substring(1, items.length-1).split(",")
+    } else {
+      items = items.split("|")
+    }
+    items = items.map(item => item.trim()).filter(item => item !== "")
+    let value = []
+    let error = false
+    items.forEach(item => {
+      const cast = castAttributeValue(item, itemType)
+      error = error || cast.error
+      value.push(cast.value)
+    })
+    return error ? {value: string, error} : {value}
+  }
+  if (numberTypes.includes(type)) {
+    const value = Number(string)
+    if (String(string).trim() === "" || !isFinite(value)) {
+      return {value: string, error: true}
+    }
+    return {value}
+  }
+  if (booleanTypes.includes(type)) {
+    const lowerCase = String(string).trim().toLowerCase()
+    if (lowerCase == "true" || lowerCase == "1") {
+      return {value: true}
+    } else if (lowerCase == "false" || lowerCase == "0") {
+      return {value: false}
+    }
+    return {value: string, error: true}
+  }
+  return {value: string}
+}
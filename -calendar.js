@@ -0,0 +1,189 @@
+/// CALENDAR DURATIONS
+
+// Calendar units, from shortest to longest
+export const calendarUnits = ["day", "week", "month", "quarter", "year"]
+
+// Parses a calendar duration such as "month", "1 month" or "3months".
+// Returns {count, unit}, or undefined if the string is not a calendar duration.
+export function parseCalendarDuration(string) {
+  const match = String(string).trim().toLowerCase().match(/^(\d+)?\s*(day|week|month|quarter|year)s?$/)
+  if (match) {
+    const count = match[1] ? +match[1] : 1
+    if (count > 0) {
+      return {count, unit: match[2]}
+    }
+  }
+}
+
+export function formatCalendarDuration(duration) {
+  return `${duration.count} ${duration.unit}${duration.count>1?"s":""}`
+}
+
+
+/// TIME ZONES
+// Times are in milliseconds since epoch. Dates and calendars are read in a
+// time zone: "UTC" (the default) or an IANA time zone such as "Europe/Paris".
+// Wall time is the time read on a clock of the time zone, stored as if it
+// were UTC, so that UTC date methods give its year, month, day, hours...
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", {timeZone})
+    return true
+  } catch (err) {
+    return false
+  }
+}
+
+let timeZoneFormats = {}
+function getTimeZoneFormat(timeZone) {
+  if (!timeZoneFormats[timeZone]) {
+    timeZoneFormats[timeZone] = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric", month: "numeric", day: "numeric",
+      hour: "numeric", minute: "numeric", second: "numeric",
+    })
+  }
+  return timeZoneFormats[timeZone]
+}
+
+// Offset of the time zone at a given time, in milliseconds (wall time minus UTC)
+export function getTimeZoneOffset(msec, timeZone) {
+  if (!timeZone || timeZone == "UTC") {
+    return 0
+  }
+  let parts = {}
+  getTimeZoneFormat(timeZone).formatToParts(new Date(msec)).forEach(part => {
+    parts[part.type] = part.value
+  })
+  const wallSeconds = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second)
+  return wallSeconds - Math.floor(msec/1000)*1000
+}
+
+function toWallTime(msec, timeZone) {
+  return msec + getTimeZoneOffset(msec, timeZone)
+}
+
+// Time of a wall time. In the gap of a change to summer time, the wall time
+// does not exist and the time returned is shifted by the change.
+function fromWallTime(wallMsec, timeZone) {
+  const offset = getTimeZoneOffset(wallMsec, timeZone)
+  const msec = wallMsec - offset
+  const actualOffset = getTimeZoneOffset(msec, timeZone)
+  if (actualOffset != offset) {
+    return wallMsec - actualOffset
+  }
+  return msec
+}
+
+
+/// PARSE AND FORMAT DATES
+
+// Parses a date ("YYYY-MM-DD") or a dateTime ("YYYY-MM-DDTHH:mm:ss.sss",
+// optionally followed by "Z" or an offset such as "+02:00"). Times without
+// an offset are read in the time zone. Other formats are left to Date.parse.
+// Returns NaN if the date is invalid.
+const dateTimePattern = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?)?\s*(Z|[+-]\d{2}(?::?\d{2})?)?$/i
+export function parseDateTime(string, timeZone) {
+  const match = String(string).trim().match(dateTimePattern)
+  if (!match) {
+    return Date.parse(string)
+  }
+  const [, year, month, day, hours, minutes, seconds, fraction, offset] = match
+  const wallMsec = Date.UTC(+year, +month - 1, +day, +(hours || 0), +(minutes || 0), +(seconds || 0), fraction ? Math.round(+fraction * 1000) : 0)
+  const wallDate = new Date(wallMsec)
+  if (wallDate.getUTCMonth() != +month - 1 || wallDate.getUTCDate() != +day || +(hours || 0) > 23 || +(minutes || 0) > 59 || +(seconds || 0) > 59) {
+    return NaN
+  }
+  if (offset === undefined) {
+    return fromWallTime(wallMsec, timeZone)
+  }
+  if (offset.toUpperCase() == "Z") {
+    return wallMsec
+  }
+  const offsetDigits = offset.replace(":", "")
+  const offsetMinutes = +offsetDigits.substring(1, 3) * 60 + +(offsetDigits.substring(3, 5) || 0)
+  return wallMsec - (offset[0] == "-" ? -1 : 1) * offsetMinutes * 60 * 1000
+}
+
+// Formats a time as a date ("YYYY-MM-DD") in the time zone
+export function formatDate(msec, timeZone) {
+  const date = new Date(toWallTime(msec, timeZone))
+  const year = date.getUTCFullYear()
+  const month = String(date.getUTCMonth() + 1).padStart(2, '0')
+  const day = String(date.getUTCDate()).padStart(2, '0')
+  return `${year}-${month}-${day}`
+}
+
+// Formats a time as a dateTime ("YYYY-MM-DDTHH:mm:ss.sss+HH:MM") in the time zone
+export function formatDateTime(msec, timeZone) {
+  const timezoneOffset = getTimeZoneOffset(msec, timeZone) / (60 * 1000)
+  const date = new Date(msec + timezoneOffset * 60 * 1000)
+  const hours = String(date.getUTCHours()).padStart(2, '0')
+  const minutes = String(date.getUTCMinutes()).padStart(2, '0')
+  const seconds = String(date.getUTCSeconds()).padStart(2, '0')
+  const millisecondsFormatted = String(date.getUTCMilliseconds()).padStart(3, '0')
+  const timezoneOffsetSign = timezoneOffset < 0 ? '-' : '+'
+  const timezoneOffsetHours = String(Math.floor(Math.abs(timezoneOffset) / 60)).padStart(2, '0')
+  const timezoneOffsetMinutes = String(Math.abs(timezoneOffset) % 60).padStart(2, '0')
+  const timezoneOffsetFormatted = timezoneOffsetSign + timezoneOffsetHours + ':' + timezoneOffsetMinutes
+  return `${formatDate(msec, timeZone)}T${hours}:${minutes}:${seconds}.${millisecondsFormatted}${timezoneOffsetFormatted}`
+}
+
+
+/// CALENDAR ARITHMETIC
+// Calendars are those of the time zone (UTC by default).
+
+// Start of the calendar unit containing the time.
+// Weeks start on Monday, quarters in January, April, July and October.
+export function floorToCalendarUnit(msec, unit, timeZone) {
+  const date = new Date(toWallTime(msec, timeZone))
+  const year = date.getUTCFullYear()
+  const month = date.getUTCMonth()
+  const day = date.getUTCDate()
+  let wallMsec
+  if (unit == "day") {
+    wallMsec = Date.UTC(year, month, day)
+  } else if (unit == "week") {
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7
+    wallMsec = Date.UTC(year, month, day - daysSinceMonday)
+  } else if (unit == "month") {
+    wallMsec = Date.UTC(year, month, 1)
+  } else if (unit == "quarter") {
+    wallMsec = Date.UTC(year, month - month%3, 1)
+  } else if (unit == "year") {
+    wallMsec = Date.UTC(year, 0, 1)
+  }
+  return fromWallTime(wallMsec, timeZone)
+}
+
+// Adds a calendar duration to a time, keeping the time of day (a day may
+// last 23 or 25 hours when summer time begins or ends). Adding months keeps
+// the day of the month, or the last day of the month if it is shorter
+// (Jan 31 + 1 month gives Feb 28 or 29).
+export function addCalendarDuration(msec, duration, timeZone) {
+  const wallMsec = toWallTime(msec, timeZone)
+  const dayDuration = 24*60*60*1000
+  if (duration.unit == "day") {
+    return fromWallTime(wallMsec + duration.count * dayDuration, timeZone)
+  } else if (duration.unit == "week") {
+    return fromWallTime(wallMsec + duration.count * 7 * dayDuration, timeZone)
+  }
+  let months
+  if (duration.unit == "month") {
+    months = duration.count
+  } else if (duration.unit == "quarter") {
+    months = 3 * duration.count
+  } else if (duration.unit == "year") {
+    months = 12 * duration.count
+  }
+  const date = new Date(wallMsec)
+  const dayStart = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  const timeOfDay = wallMsec - dayStart
+  const year = date.getUTCFullYear()
+  const month = date.getUTCMonth() + months
+  const monthLength = new Date(Date.UTC(year, month + 1, 0)).getUTCDate()
+  const day = Math.min(date.getUTCDate(), monthLength)
+  return fromWallTime(Date.UTC(year, month, day) + timeOfDay, timeZone)
+}
@@ -0,0 +1,145 @@
+import { getEdgeWeight } from "./-edge-policies.js"
+
+/// HIERARCHY
+
+// In a hierarchical graph, nodes can have a parent node (their "pid"). The
+// level of a node is its number of ancestors: 0 for nodes without parent.
+// parents maps node ids to the ids of their parents.
+
+// Ancestors of a node, from its parent to the root (a cycle ends the chain)
+export function getAncestors(nid, parents) {
+  let ancestors = []
+  let visited = new Set([nid])
+  let pid = parents.get(nid)
+  while (pid !== undefined && !visited.has(pid)) {
+    ancestors.push(pid)
+    visited.add(pid)
+    pid = parents.get(pid)
+  }
+  return ancestors
+}
+
+// Depth of a node of a graph (graphology): its number of ancestors among the
+// nodes of the graph, following their "pid" attributes
+export function getDepth(g, nid) {
+  let depth = 0
+  let visited = new Set([nid])
+  let pid = g.getNodeAttribute(nid, "pid")
+  while (pid !== undefined && g.hasNode(pid) && !visited.has(pid)) {
+    depth++
+    visited.add(pid)
+    pid = g.getNodeAttribute(pid, "pid")
+  }
+  return depth
+}
+
+
+/// COLLAPSE SLICE
+
+// Collapses the nodes of a slice to a level of the hierarchy: nodes deeper
+// than the level are replaced by their ancestor at that level.
+// - The ancestor is kept as it is in the slice, or else added with its label
+//   and pid (settings.labels maps node ids to labels). It gets the number of
+//   nodes it replaces as "collapsed".
+// - Edges go from the ancestor of their source to that of their target. Edges
+//   within an ancestor are removed. Edges between the same ancestors (in the
+//   same direction if directed) are aggregated into one edge, whose weight is
+//   the sum of their weights (see getEdgeWeight), whose recency is the
+//   highest, and whose "collapsed" is their number, including the edges that
+//   were already between these nodes. Other edges are kept as they are.
+// Edges are directed unless their type (or settings.defaultEdgeType) is
+// "undirected".
+// Returns the statistics: numbers of nodes and edges before and after.
+export function collapseSlice(slice, settings) {
+  const parents = settings.parents
+  const level = settings.level
+  let stats = {
+    nodes: {before: slice.nodes.length},
+    edges: {before: slice.edges.length},
+  }
+
+  // Ancestor at the level, for nodes deeper than the level
+  let ancestorsIndex = new Map()
+  const getAncestor = function(nid) {
+    if (!ancestorsIndex.has(nid)) {
+      const ancestors = getAncestors(nid, parents)
+      ancestorsIndex.set(nid, (ancestors.length > level) ? ancestors[ancestors.length - 1 - level] : undefined)
+    }
+    return ancestorsIndex.get(nid)
+  }
+
+  // Nodes
+  let nodes = []
+  let nodesIndex = new Map()
+  slice.nodes.forEach(node => {
+    if (getAncestor(node.id) === undefined && !nodesIndex.has(node.id)) {
+      nodesIndex.set(node.id, node)
+      nodes.push(node)
+    }
+  })
+  slice.nodes.forEach(node => {
+    const aid = getAncestor(node.id)
+    if (aid === undefined) {
+      return
+    }
+    let ancestor = nodesIndex.get(aid)
+    if (!ancestor) {
+      ancestor = {id: aid, label: settings.labels.get(aid)}
+      if (parents.has(aid)) {
+        ancestor.pid = parents.get(aid)
+      }
+      nodesIndex.set(aid, ancestor)
+      nodes.push(ancestor)
+    }
+    ancestor.collapsed = (ancestor.collapsed || 0) + 1
+  })
+  slice.nodes = nodes
+
+  // Edges, with the ends they get (ids of aggregated edges)
+  const collapsedEdges = slice.edges.map(edge => {
+    const source = getAncestor(edge.source) ?? edge.source
+    const target = getAncestor(edge.target) ?? edge.target
+    const directed = (edge.type || settings.defaultEdgeType) != "undirected"
+    const ends = (directed || source < target) ? [source, target] : [target, source]
+    return {edge, ends, id: ends.join(directed ? "->" : "--"), collapsed: source != edge.source || target != edge.target}
+  })
+  // Ends that collapsed edges go to (but within an ancestor): all their edges
+  // are aggregated
+  const aggregatedIds = new Set(collapsedEdges.filter(({ends, collapsed}) => collapsed && ends[0] != ends[1]).map(({id}) => id))
+  let edges = []
+  let aggregatedEdgesIndex = new Map()
+  collapsedEdges.forEach(({edge, ends, id, collapsed}) => {
+    if (collapsed && ends[0] == ends[1]) {
+      return
+    }
+    if (!aggregatedIds.has(id)) {
+      edges.push(edge)
+      return
+    }
+    let aggregatedEdge = aggregatedEdgesIndex.get(id)
+    if (!aggregatedEdge) {
+      aggregatedEdge = {id, source: ends[0], target: ends[1], weight: 0, collapsed: 0}
+      if (edge.type) {
+        aggregatedEdge.type = edge.type
+      }
+      if (edge.kind) {
+        aggregatedEdge.kind = edge.kind
+      }
+      aggregatedEdgesIndex.set(id, aggregatedEdge)
+      edges.push(aggregatedEdge)
+    }
+    aggregatedEdge.weight += getEdgeWeight(edge)
+    aggregatedEdge.collapsed++
+    if (aggregatedEdge.kind !== undefined && aggregatedEdge.kind !== edge.kind) {
+      delete aggregatedEdge.kind
+    }
+    if (edge.recency !== undefined) {
+      aggregatedEdge.recency = Math.max(aggregatedEdge.recency ?? 0, edge.recency)
+    }
+  })
+  slice.edges = edges
+
+  stats.nodes.after = slice.nodes.length
+  stats.edges.after = slice.edges.length
+  return stats
+}
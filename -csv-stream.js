@@ -0,0 +1,242 @@
+import * as fs from "fs";
+import * as readline from "readline";
+import * as d3 from 'd3';
+
+// A temporal edge list (one row per edge, with source, target, time and other
+// columns) and an optional node table (one row per node, with id, label and
+// other columns) are read as a static graph whose attributes are the columns.
+// Time columns are then used as time attributes, as for a static GEXF.
+//
+// Settings (all optional):
+// - nodes: node table file
+// - delimiter: column delimiter (defaults to tab for .tsv files, comma otherwise)
+// - sourceColumn, targetColumn, idColumn: edge columns (source, target, id)
+// - nodeIdColumn, labelColumn: node columns (id, label)
+
+// Columns that are native edge properties rather than attributes
+const nativeEdgeColumns = ["weight", "type", "kind"]
+
+// Timestamp or start/end columns recognized without settings, in order
+const timeColumnCandidates = ["timestamp", "time", "date", "start"]
+
+// Types inferred from the values, in order of preference: a column gets the
+// first type matching all its values, or "string"
+const typeTests = {
+  integer: v => /^-?\d+$/.test(v),
+  double: v => v.trim() != "" && !isNaN(+v),
+  boolean: v => v == "true" || v == "false",
+  date: v => /^\d{4}-\d{2}-\d{2}$/.test(v),
+  dateTime: v => /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}.*)?$/.test(v) && !isNaN(Date.parse(v)),
+}
+
+
+/// READ HEADER
+
+// Reads the columns and all the rows of each file to declare the attributes
+// and infer their types. Returns a header shaped like that of a
+// GEXF, plus the guessed time columns of edges.
+export async function readCsvHeader(file, settings) {
+  settings = getCsvSettings(settings)
+  let header = {
+    version: "",
+    graph: {mode: "static", timeformat: "", timerepresentation: "", defaultedgetype: "directed"},
+    attributes: [],
+    timeColumns: undefined,
+  }
+
+  // Edges
+  const edgeColumns = await inferColumnTypes(file, settings)
+  if (!edgeColumns[settings.sourceColumn] || !edgeColumns[settings.targetColumn]) {
+    throw new Error(`The file ${file} must have a "${settings.sourceColumn}" and a "${settings.targetColumn}" column.`)
+  }
+  for (let column in edgeColumns) {
+    if (column != settings.sourceColumn && column != settings.targetColumn && column != settings.idColumn && !nativeEdgeColumns.includes(column)) {
+      header.attributes.push({attObj: buildAttObj(column, edgeColumns[column]), attClass: "edge"})
+    }
+  }
+  const startColumn = timeColumnCandidates.find(column => edgeColumns[column])
+  if (startColumn) {
+    header.timeColumns = {
+      start: startColumn,
+      end: (startColumn == "start" && edgeColumns["end"]) ? "end" : undefined,
+    }
+  }
+
+  // Nodes
+  if (settings.nodes) {
+    const nodeColumns = await inferColumnTypes(settings.nodes, settings)
+    if (!nodeColumns[settings.nodeIdColumn]) {
+      throw new Error(`The node file ${settings.nodes} must have an "${settings.nodeIdColumn}" column.`)
+    }
+    for (let column in nodeColumns) {
+      if (column != settings.nodeIdColumn && column != settings.labelColumn) {
+        header.attributes.push({attObj: buildAttObj(column, nodeColumns[column]), attClass: "node"})
+      }
+    }
+  }
+
+  return header
+}
+
+function buildAttObj(column, type) {
+  return {id: column, title: column, type, mode: "static"}
+}
+
+// Type of each column, inferred from all its values. Only the types still
+// matching all the values read so far are kept, so that the file is
+// streamed.
+async function inferColumnTypes(file, settings) {
+  let candidates = {}
+  const columns = await readCsvRecords(file, getDelimiter(file, settings), row => {
+    for (let column in row) {
+      if (row[column] === "") {
+        continue
+      }
+      if (!candidates[column]) {
+        candidates[column] = Object.keys(typeTests)
+      }
+      const types = candidates[column]
+      if (!types.every(type => typeTests[type](row[column]))) {
+        candidates[column] = types.filter(type => typeTests[type](row[column]))
+      }
+    }
+  })
+  let columnTypes = {}
+  columns.forEach(column => {
+    columnTypes[column] = (candidates[column] && candidates[column][0]) || "string"
+  })
+  return columnTypes
+}
+
+
+/// STREAM CSV
+
+// Reads the node table (if any) then the edge list, and calls the handlers
+// node(element) and edge(element) with elements shaped like those of
+// streamGexf. Without a node table, nodes are the sources and targets of
+// edges, labeled by their id, and come after the edges.
+export async function streamCsv(file, handlers, settings) {
+  settings = getCsvSettings(settings)
+
+  // Nodes
+  if (settings.nodes) {
+    await readCsvRecords(settings.nodes, getDelimiter(settings.nodes, settings), row => {
+      if (handlers.node) {
+        let nodeElement = {
+          id: row[settings.nodeIdColumn],
+          label: (row[settings.labelColumn] === undefined) ? row[settings.nodeIdColumn] : row[settings.labelColumn],
+          spells: [],
+          attvalues: [],
+          viz: [],
+        }
+        for (let column in row) {
+          if (column != settings.nodeIdColumn && column != settings.labelColumn && row[column] !== "") {
+            nodeElement.attvalues.push({for: column, value: row[column]})
+          }
+        }
+        handlers.node(nodeElement)
+      }
+    })
+  }
+
+  // Edges
+  let endpoints = new Set()
+  let rowIndex = 0
+  await readCsvRecords(file, getDelimiter(file, settings), row => {
+    let edgeElement = {
+      id: row[settings.idColumn] || String(rowIndex),
+      source: row[settings.sourceColumn],
+      target: row[settings.targetColumn],
+      spells: [],
+      attvalues: [],
+      viz: [],
+    }
+    rowIndex++
+    for (let column in row) {
+      if (column == settings.sourceColumn || column == settings.targetColumn || column == settings.idColumn || row[column] === "") {
+        continue
+      }
+      if (nativeEdgeColumns.includes(column)) {
+        edgeElement[column] = row[column]
+      } else {
+        edgeElement.attvalues.push({for: column, value: row[column]})
+      }
+    }
+    if (!settings.nodes) {
+      endpoints.add(edgeElement.source)
+      endpoints.add(edgeElement.target)
+    }
+    if (handlers.edge) {
+      handlers.edge(edgeElement)
+    }
+  })
+
+  // Nodes from edges
+  if (!settings.nodes && handlers.node) {
+    endpoints.forEach(id => {
+      handlers.node({id, label: id, spells: [], attvalues: [], viz: []})
+    })
+  }
+}
+
+
+/// READ RECORDS
+
+// Reads a delimited text file record by record (a record spans several lines
+// when a quoted field contains line breaks) and calls onRecord(row) with each
+// row as an object keyed by column. Reading stops if onRecord returns false.
+// Returns the columns.
+async function readCsvRecords(file, delimiter, onRecord) {
+  const format = d3.dsvFormat(delimiter)
+  const readStream = fs.createReadStream(file, {encoding: 'utf8'})
+  const lines = readline.createInterface({input: readStream, crlfDelay: Infinity})
+  let columns
+  let record = ""
+  for await (const line of lines) {
+    record = record ? record + "\n" + line : line
+    if ((record.match(/"/g) || []).length % 2 == 1) {
+      // A quoted field is still open
+      continue
+    }
+    if (record.trim() == "") {
+      record = ""
+      continue
+    }
+    const values = format.parseRows(record)[0]
+    record = ""
+    if (!columns) {
+      columns = values.map(column => column.trim())
+      continue
+    }
+    let row = {}
+    columns.forEach((column, i) => {
+      row[column] = (values[i] === undefined) ? "" : values[i]
+    })
+    if (onRecord(row) === false) {
+      break
+    }
+  }
+  lines.close()
+  readStream.destroy()
+  return columns || []
+}
+
+function getCsvSettings(settings) {
+  settings = settings || {}
+  return {
+    nodes: settings.nodes,
+    delimiter: settings.delimiter,
+    sourceColumn: settings.sourceColumn || "source",
+    targetColumn: settings.targetColumn || "target",
+    idColumn: settings.idColumn || "id",
+    nodeIdColumn: settings.nodeIdColumn || "id",
+    labelColumn: settings.labelColumn || "label",
+  }
+}
+
+function getDelimiter(file, settings) {
+  if (settings.delimiter) {
+    return settings.delimiter == "\\t" ? "\t" : settings.delimiter
+  }
+  return /\.tsv$/i.test(file) ? "\t" : ","
+}
@@ -0,0 +1,99 @@
+/// EDGE POLICIES
+
+// A slice can contain parallel edges (several edges between the same source
+// and target, in the same direction if directed) and self-loops (edges from a
+// node to itself). Policies decide what to do with them:
+// - parallelEdges: "keep" (the slice is a multigraph) or "merge" (parallel
+//   edges become one edge)
+// - selfLoops: "keep" or "drop"
+export const parallelEdgesPolicies = ["keep", "merge"]
+export const selfLoopsPolicies = ["keep", "drop"]
+
+// Policies of a command: those set by its options, or else those of the
+// slices (data.paralleledges and data.selfloops), or else "keep". Options
+// follow the style of each command: --parallel-edges and --self-loops in
+// slice-gexf, --paralleledges and --selfloops in layout-slices and
+// render-video. Logs an error and returns undefined if a policy is not
+// supported.
+export function resolveEdgePolicies(options, data, logger) {
+  const edgePolicies = {
+    parallelEdges: options.parallelEdges || options.paralleledges || data.paralleledges || "keep",
+    selfLoops: options.selfLoops || options.selfloops || data.selfloops || "keep",
+    defaultEdgeType: data.defaultedgetype,
+  }
+  if (!parallelEdgesPolicies.includes(edgePolicies.parallelEdges)) {
+    logger.error(`The parallel edges policy "${edgePolicies.parallelEdges}" is not supported. Use ${parallelEdgesPolicies.map(policy => `"${policy}"`).join(" or ")}.`)
+    return undefined
+  }
+  if (!selfLoopsPolicies.includes(edgePolicies.selfLoops)) {
+    logger.error(`The self-loops policy "${edgePolicies.selfLoops}" is not supported. Use ${selfLoopsPolicies.map(policy => `"${policy}"`).join(" or ")}.`)
+    return undefined
+  }
+  return edgePolicies
+}
+
+// Applies the policies to the edges of a slice. Merged edges keep the
+// properties of the first edge, with the sum of the weights (see
+// getEdgeWeight) as weight, the highest recency, and their number as "merged" (edges merged
+// before count as many).
+// Edges are directed unless their type (or settings.defaultEdgeType) is
+// "undirected".
+// Returns the numbers of self-loops dropped and of parallel edges merged
+// (edges removed by merging).
+export function applyEdgePolicies(slice, settings) {
+  let stats = {selfLoops: 0, parallelEdges: 0}
+
+  if (settings.selfLoops == "drop") {
+    const edgesCount = slice.edges.length
+    slice.edges = slice.edges.filter(edge => edge.source != edge.target)
+    stats.selfLoops = edgesCount - slice.edges.length
+  }
+
+  if (settings.parallelEdges == "merge") {
+    let edges = []
+    let positionsIndex = new Map()
+    let copiedPositions = new Set()
+    slice.edges.forEach(edge => {
+      const key = getEdgePairKey(edge, settings.defaultEdgeType)
+      if (!positionsIndex.has(key)) {
+        positionsIndex.set(key, edges.length)
+        edges.push(edge)
+        return
+      }
+      const position = positionsIndex.get(key)
+      let mergedEdge = edges[position]
+      if (!copiedPositions.has(position)) {
+        // Copy the first edge, so that the slice elements are not modified
+        mergedEdge = {...mergedEdge, weight: getEdgeWeight(mergedEdge), merged: mergedEdge.merged || 1}
+        edges[position] = mergedEdge
+        copiedPositions.add(position)
+      }
+      mergedEdge.weight += getEdgeWeight(edge)
+      mergedEdge.merged += edge.merged || 1
+      if (edge.recency !== undefined) {
+        mergedEdge.recency = Math.max(mergedEdge.recency ?? 0, edge.recency)
+      }
+      stats.parallelEdges++
+    })
+    slice.edges = edges
+  }
+
+  return stats
+}
+
+// Weight of an edge when weights add up: 1 if it has none, or if its weight
+// is not a number (a value that failed its cast is kept as a string)
+export function getEdgeWeight(edge) {
+  return (typeof edge.weight == "number" && !isNaN(edge.weight)) ? edge.weight : 1
+}
+
+// Same key for parallel edges: directed edges by source and target,
+// undirected edges by their ends in any order
+export function getEdgePairKey(edge, defaultEdgeType) {
+  const directed = (edge.type || defaultEdgeType) != "undirected"
+  if (directed) {
+    return JSON.stringify(["directed", edge.source, edge.target])
+  }
+  const ends = (edge.source < edge.target) ? [edge.source, edge.target] : [edge.target, edge.source]
+  return JSON.stringify(["undirected", ...ends])
+}
@@ -0,0 +1,230 @@
+/// FILTER EXPRESSIONS
+
+// A filter expression tests the values of a node or an edge, for instance:
+//   country == "FR" and score >= 3
+//   kind in ("reply", "mention") || !archived
+// - Values: attribute ids or titles, native properties (id, label, kind...),
+//   numbers, strings in single or double quotes, true, false and null (no
+//   value). Names with other characters than letters, digits, "_" and "."
+//   go in backticks: `first name`.
+// - Comparisons: == (or =), !=, <, <=, >, >=, "contains" (an item of a list,
+//   or part of a string) and "in" (one of a list of values). Numbers compare
+//   as numbers, other values as strings. For list values, == and "in" match
+//   any item.
+// - Logic: "and" (or &&), "or" (or ||), "not" (or !), parentheses. A value
+//   alone is true unless it is missing, false, 0 or "".
+
+// Compiles an expression into a function testing an element.
+// fields maps the names usable in the expression to the keys of elements.
+// Throws an error if the expression is invalid or uses an unknown name.
+export function compileFilter(expression, fields) {
+  const tokens = tokenize(expression)
+  let position = 0
+
+  const peek = () => tokens[position]
+  const next = () => tokens[position++]
+  const isKeyword = (token, ...words) => token && token.type == "word" && words.includes(token.value.toLowerCase())
+  const isSymbol = (token, ...symbols) => token && token.type == "symbol" && symbols.includes(token.value)
+  const expect = (symbol) => {
+    const token = next()
+    if (!isSymbol(token, symbol)) {
+      throw new Error(`Expected "${symbol}" ${token ? `instead of "${token.value}"` : "at the end"} in filter: ${expression}`)
+    }
+  }
+
+  function parseOr() {
+    let left = parseAnd()
+    while (isKeyword(peek(), "or") || isSymbol(peek(), "||")) {
+      next()
+      const a = left, b = parseAnd()
+      left = element => a(element) || b(element)
+    }
+    return left
+  }
+  function parseAnd() {
+    let left = parseNot()
+    while (isKeyword(peek(), "and") || isSymbol(peek(), "&&")) {
+      next()
+      const a = left, b = parseNot()
+      left = element => a(element) && b(element)
+    }
+    return left
+  }
+  function parseNot() {
+    if (isKeyword(peek(), "not") || isSymbol(peek(), "!")) {
+      next()
+      const a = parseNot()
+      return element => !a(element)
+    }
+    return parseComparison()
+  }
+  function parseComparison() {
+    const left = parseOperand()
+    const token = peek()
+    if (isSymbol(token, "==", "=", "!=", "<", "<=", ">", ">=")) {
+      next()
+      const right = parseOperand()
+      const compare = comparisons[token.value]
+      return element => compare(left(element), right(element))
+    }
+    if (isKeyword(token, "contains")) {
+      next()
+      const right = parseOperand()
+      return element => contains(left(element), right(element))
+    }
+    if (isKeyword(token, "in")) {
+      next()
+      const list = parseList()
+      return element => {
+        const value = left(element)
+        return list.some(item => equals(value, item(element)))
+      }
+    }
+    return element => isTrue(left(element))
+  }
+  function parseList() {
+    const closing = isSymbol(peek(), "[") ? "]" : ")"
+    if (!isSymbol(peek(), "(", "[")) {
+      throw new Error(`Expected a list of values after "in" in filter: ${expression}`)
+    }
+    next()
+    let list = []
+    while (!isSymbol(peek(), closing)) {
+      list.push(parseOperand())
+      if (!isSymbol(peek(), closing)) {
+        expect(",")
+      }
+    }
+    next()
+    return list
+  }
+  function parseOperand() {
+    const token = next()
+    if (!token) {
+      throw new Error(`Unexpected end of filter: ${expression}`)
+    }
+    if (isSymbol(token, "(")) {
+      const inner = parseOr()
+      expect(")")
+      return inner
+    }
+    if (token.type == "number" || token.type == "string") {
+      return () => token.value
+    }
+    if (token.type == "name" || (token.type == "word" && !isKeyword(token, "and", "or", "not", "in", "contains"))) {
+      const lowerCase = token.value.toLowerCase()
+      if (token.type == "word" && (lowerCase == "true" || lowerCase == "false")) {
+        return () => lowerCase == "true"
+      }
+      if (token.type == "word" && lowerCase == "null") {
+        return () => undefined
+      }
+      const key = fields[token.value]
+      if (key === undefined) {
+        throw new Error(`Unknown attribute "${token.value}" in filter: ${expression}. Available: ${Object.keys(fields).join(", ")}.`)
+      }
+      return element => element[key]
+    }
+    throw new Error(`Unexpected "${token.value}" in filter: ${expression}`)
+  }
+
+  const filter = parseOr()
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${peek().value}" in filter: ${expression}`)
+  }
+  return filter
+}
+
+function tokenize(expression) {
+  const pattern = /\s*(?:(-?\d+(?:\.\d+)?(?:e[+-]?\d+)?)(?![\w.])|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|`([^`]*)`|([A-Za-z_][\w.]*)|(==|!=|<=|>=|&&|\|\||[=<>!(),[\]]))/gy
+  let tokens = []
+  let match
+  pattern.lastIndex = 0
+  while (pattern.lastIndex < expression.length) {
+    const start = pattern.lastIndex
+    if (expression.substring(start).trim() == "") {
+      break
+    }
+    match = pattern.exec(expression)
+    if (!match) {
+      throw new Error(`Unexpected "${expression.substring(start).trim()[0]}" in filter: ${expression}`)
+    }
+    if (match[1] !== undefined) {
+      tokens.push({type: "number", value: +match[1]})
+    } else if (match[2] !== undefined || match[3] !== undefined) {
+      tokens.push({type: "string", value: (match[2] ?? match[3]).replace(/\\(.)/g, "$1")})
+    } else if (match[4] !== undefined) {
+      tokens.push({type: "name", value: match[4]})
+    } else if (match[5] !== undefined) {
+      tokens.push({type: "word", value: match[5]})
+    } else {
+      tokens.push({type: "symbol", value: match[6]})
+    }
+  }
+  return tokens
+}
+
+
+/// COMPARISONS
+
+function isMissing(value) {
+  return value === undefined || value === null || value === ""
+}
+
+function isTrue(value) {
+  return !isMissing(value) && value !== false && value !== 0 && !(Array.isArray(value) && value.length == 0)
+}
+
+function asNumber(value) {
+  if (typeof value == "number") {
+    return value
+  }
+  if (typeof value == "string" && value.trim() != "" && isFinite(+value)) {
+    return +value
+  }
+}
+
+// -1, 0 or 1, or undefined if a value is missing
+function compareValues(a, b) {
+  if (isMissing(a) || isMissing(b)) {
+    return undefined
+  }
+  const numberA = asNumber(a)
+  const numberB = asNumber(b)
+  if (numberA !== undefined && numberB !== undefined) {
+    return Math.sign(numberA - numberB)
+  }
+  const stringA = String(a)
+  const stringB = String(b)
+  return stringA < stringB ? -1 : (stringA > stringB ? 1 : 0)
+}
+
+function equals(a, b) {
+  if (Array.isArray(a)) {
+    return a.some(item => equals(item, b))
+  }
+  if (isMissing(a) || isMissing(b)) {
+    return isMissing(a) && isMissing(b)
+  }
+  return compareValues(a, b) == 0
+}
+
+function contains(a, b) {
+  if (Array.isArray(a)) {
+    return a.some(item => equals(item, b))
+  }
+  if (isMissing(a) || isMissing(b)) {
+    return false
+  }
+  return String(a).includes(String(b))
+}
+
+const comparisons = {
+  "==": equals,
+  "=": equals,
+  "!=": (a, b) => !equals(a, b),
+  "<": (a, b) => compareValues(a, b) < 0,
+  "<=": (a, b) => compareValues(a, b) <= 0,
+  ">": (a, b) => compareValues(a, b) > 0,
+  ">=": (a, b) => compareValues(a, b) >= 0,
+}
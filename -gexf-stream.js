@@ -0,0 +1,211 @@
+import sax from "sax";
+import * as fs from "fs";
+
+/// READ HEADER
+
+// Reads the <gexf> and <graph> attributes and the attribute declarations,
+// then stops reading the file when nodes or edges begin.
+// Missing XML attributes are returned as empty strings, like DOM getAttribute.
+export async function readGexfHeader(file) {
+  let header = {version: "", graph: undefined, attributes: []}
+  await streamGexf(file, {
+    gexf: a => {
+      header.version = a.version || ""
+    },
+    graph: a => {
+      header.graph = {
+        mode: a.mode || "",
+        timeformat: a.timeformat || "",
+        timerepresentation: a.timerepresentation || "",
+        defaultedgetype: a.defaultedgetype || "",
+      }
+    },
+    attribute: (attObj, attClass) => {
+      header.attributes.push({attObj, attClass})
+    },
+  }, {stopAt: ["nodes", "edges"]})
+  if (!header.graph) {
+    throw new Error(`No <graph> element found in ${file}`)
+  }
+  return header
+}
+
+
+/// STREAM GEXF
+
+// Reads a GEXF file as a stream, without building a DOM, and calls the
+// handlers as elements are complete:
+// - gexf(attributes) and graph(attributes) when these elements open
+// - attribute(attObj, attClass) for each <attribute> declaration
+// - node(element) and edge(element) for each <node> and <edge>
+// Elements are plain objects holding their XML attributes as raw strings,
+// plus "spells" (an array of spell attributes), "attvalues" (an array of
+// attvalue attributes) and "viz" (an array of viz:color, viz:size,
+// viz:position, viz:thickness and viz:shape attributes, with their "type" and
+// their own "spells"). Only elements that have a handler are built.
+// Nested nodes (GEXF 1.3 hierarchy) are flattened: each gets the id of the node
+// containing it as "pid", unless it has its own pid. They come before their
+// parent, which is complete only when it closes.
+// Reading ends early if an element named in settings.stopAt opens.
+// With settings.lines, elements, spells, attvalues and viz get the "line"
+// where they open.
+export function streamGexf(file, handlers, settings) {
+  settings = settings || {}
+  const stopAt = settings.stopAt || []
+  return new Promise((resolve, reject) => {
+    const readStream = fs.createReadStream(file, {encoding: 'utf8'})
+    const parser = sax.parser(true)
+
+    let stopped = false
+    let attClass, attMode, attObj, defaultText
+    let elementStack = [] // Open <node> and <edge> elements (nodes can be nested)
+    let openViz // Open viz element, whose spells are its own
+    const getLine = () => parser.line + 1
+
+    parser.onopentag = tag => {
+      if (stopped) { return }
+      const a = tag.attributes
+      if (stopAt.includes(tag.name)) {
+        stopped = true
+        readStream.destroy()
+        resolve()
+        return
+      }
+      switch (tag.name) {
+        case "gexf":
+        case "graph":
+          if (handlers[tag.name]) {
+            handlers[tag.name](a)
+          }
+          break
+        case "attributes":
+          attClass = a.class || ""
+          attMode = a.mode || ""
+          break
+        case "attribute":
+          attObj = {id: a.id || "", title: a.title || "", type: a.type || ""}
+          break
+        case "default":
+          defaultText = ""
+          break
+        case "node":
+        case "edge":
+          if (handlers[tag.name]) {
+            let element = {...a, spells: [], attvalues: [], viz: []}
+            if (settings.lines) {
+              element.line = getLine()
+            }
+            if (tag.name == "node" && element.pid === undefined && elementStack.at(-1)) {
+              element.pid = elementStack.at(-1).id
+            }
+            elementStack.push(element)
+          } else {
+            elementStack.push(undefined)
+          }
+          break
+        case "spell":
+          if (openViz) {
+            openViz.spells.push(settings.lines ? {...a, line: getLine()} : {...a})
+          } else if (elementStack.at(-1)) {
+            elementStack.at(-1).spells.push(settings.lines ? {...a, line: getLine()} : {...a})
+          }
+          break
+        case "attvalue":
+          if (elementStack.at(-1)) {
+            elementStack.at(-1).attvalues.push(settings.lines ? {...a, line: getLine()} : {...a})
+          }
+          break
+        default: {
+          const vizType = getVizType(tag.name)
+          if (vizType && elementStack.at(-1)) {
+            openViz = {type: vizType, ...a, spells: []}
+            if (settings.lines) {
+              openViz.line = getLine()
+            }
+            elementStack.at(-1).viz.push(openViz)
+          }
+        }
+      }
+    }
+
+    parser.ontext = text => {
+      if (defaultText !== undefined) {
+        defaultText += text
+      }
+    }
+    parser.oncdata = text => {
+      if (defaultText !== undefined) {
+        defaultText += text
+      }
+    }
+
+    parser.onclosetag = name => {
+      if (stopped) { return }
+      switch (name) {
+        case "default":
+          if (attObj) {
+            attObj.default = defaultText
+          }
+          defaultText = undefined
+          break
+        case "attribute":
+          if (attObj) {
+            attObj.mode = attMode
+            if (handlers.attribute) {
+              handlers.attribute(attObj, attClass)
+            }
+          }
+          attObj = undefined
+          break
+        case "node":
+        case "edge": {
+          const element = elementStack.pop()
+          if (element) {
+            handlers[name](element)
+          }
+          break
+        }
+        default:
+          if (getVizType(name)) {
+            openViz = undefined
+          }
+      }
+    }
+
+    // Errors of the XML or of the handlers stop the reading
+    const fail = function(error) {
+      stopped = true
+      readStream.destroy()
+      reject(error)
+    }
+    parser.onerror = fail
+    parser.onend = resolve
+    readStream.on("data", chunk => {
+      if (stopped) { return }
+      try {
+        parser.write(chunk)
+      } catch (error) {
+        fail(error)
+      }
+    })
+    readStream.on("end", () => {
+      if (stopped) { return }
+      try {
+        parser.close()
+      } catch (error) {
+        fail(error)
+      }
+    })
+    readStream.on("error", fail)
+  })
+}
+
+// Type of a viz element ("viz:color" gives "color"), whatever the namespace
+// prefix, or undefined
+const vizTypes = ["color", "size", "position", "thickness", "shape"]
+function getVizType(tagName) {
+  const localName = tagName.split(":").at(-1)
+  if (vizTypes.includes(localName)) {
+    return localName
+  }
+}
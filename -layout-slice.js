@@ -0,0 +1,506 @@
+import Graph from "graphology";
+import forceAtlas2 from 'graphology-layout-forceatlas2';
+import forceAtlas2Defaults from 'graphology-layout-forceatlas2/defaults.js';
+import forceAtlas2Helpers from 'graphology-layout-forceatlas2/helpers.js';
+import forceAtlas2Iterate from 'graphology-layout-forceatlas2/iterate.js';
+import noverlap from 'graphology-layout-noverlap';
+import { applyEdgePolicies } from "./-edge-policies.js"
+import { getDepth } from "./-collapse-hierarchy.js"
+
+// Layout of the slices, shared by layout-slices and its workers (see
+// -layout-worker.js). Settings:
+// - options: the options of layout-slices, as parsed by commander
+// - logger
+// - vizPositions: "none", "initial" or "fixed"
+// - windowMode: the window mode of the slices
+// - edgePolicies: see -edge-policies.js
+// - anchors: Map of node ids to anchor positions {x, y}, in anchored layouts
+// - anchorStrength: pull towards the anchors
+// - random: random number generator, Math.random by default (see getRandom)
+
+
+/// LAYOUT SLICE
+
+// Lays out a slice, starting from the positions of the previous slice
+// (lastNodesIndex), and updates its nodes. Returns the positions of its nodes,
+// from which the next slice starts.
+export function layoutSlice(slice, lastNodesIndex, settings) {
+  // Build network
+  let g = buildNetwork(slice, settings)
+  setNodeSizes(g, settings)
+
+  // Get positions from last time
+  g.nodes().forEach(nid => {
+    let n = g.getNodeAttributes(nid)
+    let last = lastNodesIndex[nid]
+    if (last) {
+      n.x = last.x
+      n.y = last.y
+    }
+  })
+  setVizPositions(g, lastNodesIndex, settings)
+  setAnchorPositions(g, settings)
+
+  // Render layout
+  const groupEdges = addGroupEdges(g, settings)
+  renderLayout(g, false, settings)
+  centerGroups(g, groupEdges)
+
+  // Update node data in slices
+  slice.nodes = g.nodes().map(nid => {
+    let n = g.getNodeAttributes(nid)
+    delete n.fixed
+    return n
+  })
+
+  // Positions for the next slice
+  let nodesIndex = {}
+  slice.nodes.forEach(n => {
+    nodesIndex[n.id] = {x:n.x, y:n.y}
+  })
+  return nodesIndex
+}
+
+// Seeded random number generator (mulberry32), one stream per slice, so that
+// the layout of a slice only depends on the seed and on its own inputs,
+// whatever the order in which slices are laid out. Without a seed, returns
+// Math.random.
+export function getRandom(seed, stream) {
+  if (seed === undefined) {
+    return Math.random
+  }
+  // Initial state: hash (FNV-1a) of the seed and the stream
+  let state = 2166136261
+  for (let char of `${seed}:${stream}`) {
+    state = Math.imul(state ^ char.charCodeAt(0), 16777619)
+  }
+  return function() {
+    state = (state + 0x6D2B79F5) | 0
+    let t = Math.imul(state ^ (state >>> 15), 1 | state)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+
+/// BUILD NETWORK
+
+export function buildNetwork(slice, settings) {
+  // Apply edge policies
+  applyEdgePolicies(slice, settings.edgePolicies)
+
+  // Build network (a multigraph, in case parallel edges are kept)
+  let g = new Graph({type: "mixed", multi: true, allowSelfLoops: true})
+  slice.nodes.forEach(node => {
+    g.addNode(node.id, node)
+  })
+  slice.edges.forEach(edge => {
+    g.addEdge(edge.source, edge.target, edge)
+  })
+  return g
+}
+
+
+/// SET NODE SIZES
+
+export function setNodeSizes(g, settings) {
+  const {options, logger} = settings
+  // Set node size
+  try {
+    const sizeMin = +options.nodesizemin || 10
+    const sizeFactor = +options.nodesizefactor || 2
+    const sizePower = +options.nodesizepower || 1
+    const vizSizes = (options.vizsizes===undefined)?false:(options.vizsizes.toLowerCase()=="true")
+    g.nodes().forEach(nid => {
+      let n = g.getNodeAttributes(nid)
+      if (vizSizes && n.viz && n.viz.size !== undefined) {
+        n.size = n.viz.size
+      } else {
+        n.size = Math.sqrt(sizeMin + sizeFactor * Math.pow(g.inDegree(nid), sizePower))
+      }
+    })
+  } catch (error) {
+    logger
+      .child({ context: {error:error.message} })
+      .error(`An error occurred when setting node sizes`);
+    console.log(error)
+  }
+}
+
+
+/// SET VIZ POSITIONS
+
+export function setVizPositions(g, lastNodesIndex, settings) {
+  const vizPositions = settings.vizPositions
+  // Positions from the GEXF: for nodes that just appeared ("initial"),
+  // or for all nodes, which then do not move ("fixed")
+  if (vizPositions == "none") {
+    return
+  }
+  g.nodes().forEach(nid => {
+    let n = g.getNodeAttributes(nid)
+    if (n.viz && n.viz.x !== undefined && n.viz.y !== undefined) {
+      if (vizPositions == "fixed") {
+        n.x = n.viz.x
+        n.y = n.viz.y
+        n.fixed = true
+      } else if (!lastNodesIndex[nid]) {
+        n.x = n.viz.x
+        n.y = n.viz.y
+      }
+    }
+  })
+}
+
+
+/// ANCHORS
+
+// Nodes without a position (new in the slice) start from their anchor
+export function setAnchorPositions(g, settings) {
+  const anchors = settings.anchors
+  if (!anchors) {
+    return
+  }
+  g.forEachNode((nid, n) => {
+    const anchor = anchors.get(nid)
+    if (anchor && (n.x === undefined || n.y === undefined)) {
+      n.x = anchor.x
+      n.y = anchor.y
+    }
+  })
+}
+
+// Force Atlas 2, with an extra spring towards the anchors in anchored
+// layouts: every 10 iterations, nodes are pulled towards their anchors. The
+// iterations are run on the matrices of Force Atlas 2 (as its assign does),
+// so that the pulls do not restart it: the speed and convergence of each node
+// carry on over the whole run.
+function runForceAtlas2(g, params, settings) {
+  const {anchors, anchorStrength} = settings
+  if (!anchors) {
+    forceAtlas2.assign(g, params)
+    return
+  }
+  const fa2Settings = {...forceAtlas2Defaults, ...params.settings}
+  const validationError = forceAtlas2Helpers.validateSettings(fa2Settings)
+  if (validationError) {
+    throw new Error(validationError.message)
+  }
+  // Edge weights as read by Force Atlas 2: 1 unless a number
+  const getEdgeWeight = (eid, e) => (typeof e[params.getEdgeWeight] === "number" && !isNaN(e[params.getEdgeWeight])) ? e[params.getEdgeWeight] : 1
+  const matrices = forceAtlas2Helpers.graphToByteArrays(g, getEdgeWeight)
+  // Anchor of each row of the node matrix (10 values per node)
+  const rowAnchors = g.mapNodes((nid, n) => n.fixed ? undefined : anchors.get(nid))
+  for (let i = 1; i <= params.iterations; i++) {
+    forceAtlas2Iterate(fa2Settings, matrices.nodes, matrices.edges)
+    if (i%10 == 0 || i == params.iterations) {
+      rowAnchors.forEach((anchor, j) => {
+        if (anchor) {
+          matrices.nodes[10*j] += anchorStrength * (anchor.x - matrices.nodes[10*j])
+          matrices.nodes[10*j + 1] += anchorStrength * (anchor.y - matrices.nodes[10*j + 1])
+        }
+      })
+    }
+  }
+  forceAtlas2Helpers.assignLayoutChanges(g, matrices.nodes, null)
+}
+
+
+/// GROUPS
+
+// In hierarchical slices, parent nodes are groups of their children (nodes
+// whose pid is their id). During the layout, each child is linked to its
+// parent by a group edge, so that children gather. Group edges are removed
+// afterwards, and each parent is placed at the barycenter of its children.
+// Returns the group edges, by parent.
+export function addGroupEdges(g, settings) {
+  const options = settings.options
+  const groups = (options.groups===undefined)?true:(options.groups.toLowerCase()=="true")
+  let groupEdges = new Map()
+  if (!groups) {
+    return groupEdges
+  }
+  g.forEachNode((nid, n) => {
+    if (n.pid === undefined || n.pid == nid || !g.hasNode(n.pid)) {
+      return
+    }
+    if (!groupEdges.has(n.pid)) {
+      groupEdges.set(n.pid, [])
+    }
+    // Children already linked to their parent keep their own edge
+    if (!g.hasEdge(nid, n.pid) && !g.hasEdge(n.pid, nid)) {
+      groupEdges.get(n.pid).push(g.addDirectedEdge(nid, n.pid, {weight: 1, recency: 1}))
+    }
+  })
+  return groupEdges
+}
+
+export function centerGroups(g, groupEdges) {
+  groupEdges.forEach(edges => {
+    edges.forEach(eid => g.dropEdge(eid))
+  })
+  // Deepest parents first, so that their own parents use their new position
+  let parents = [...groupEdges.keys()]
+  let depths = new Map(parents.map(pid => [pid, getDepth(g, pid)]))
+  parents.sort((a, b) => depths.get(b) - depths.get(a))
+  let children = new Map(parents.map(pid => [pid, []]))
+  g.forEachNode((nid, n) => {
+    if (nid != n.pid && children.has(n.pid)) {
+      children.get(n.pid).push(n)
+    }
+  })
+  parents.forEach(pid => {
+    let p = g.getNodeAttributes(pid)
+    const pidChildren = children.get(pid)
+    if (!p.fixed && pidChildren.length > 0) {
+      p.x = pidChildren.reduce((sum, n) => sum + n.x, 0) / pidChildren.length
+      p.y = pidChildren.reduce((sum, n) => sum + n.y, 0) / pidChildren.length
+    }
+  })
+}
+
+
+/// RENDER LAYOUT
+
+// noverlap moves nodes on the exact same spot at random, with Math.random:
+// it uses the random number generator of the layout instead
+export function assignNoverlap(g, random, params) {
+  const mathRandom = Math.random
+  Math.random = random
+  try {
+    noverlap.assign(g, params)
+  } finally {
+    Math.random = mathRandom
+  }
+}
+
+export function renderLayout(g, sample, settings) {
+  const {options, logger} = settings
+  const random = settings.random || Math.random
+
+  // Defaults
+  const strongergravity = (options.strongergravity===undefined)?true:(options.strongergravity.toLowerCase()=="true")
+  const gravity = +options.gravity || 0.01
+  const iterationsfactor = +options.iterationsfactor || 10
+  const barneshut = (options.barneshut===undefined)?true:(options.barneshut.toLowerCase()=="true")
+  const scaling = +options.scaling || 1
+  const linlog = (options.linlog===undefined)?true:options.linlog
+  const preventoverlap = (options.preventoverlap===undefined)?true:(options.preventoverlap.toLowerCase()=="true")
+  const recency = (options.recency===undefined)?true:(options.recency.toLowerCase()=="true")
+
+  // Edge weights: recency of edges in decaying slices, or none
+  let edgeWeightInfluence = 0
+  let getEdgeWeight = "weight"
+  if (recency && settings.windowMode == "decaying") {
+    edgeWeightInfluence = 1
+    getEdgeWeight = "recency"
+  }
+
+  // Steps
+  const howManyLayoutSteps = 4 + (preventoverlap?1:0)
+  try {
+    // Initial positions
+    const spreading = Math.sqrt(g.order) * 100
+    if (sample) {
+      logger.info(`Compute layout 1/${howManyLayoutSteps} - Initial positions...`)
+      
+      // Applying a random layout before starting
+      // (except to nodes positioned from the GEXF)
+      g.nodes().forEach((nid,i) => {
+        let n = g.getNodeAttributes(nid)
+        if (n.x === undefined || n.y === undefined) {
+          g.setNodeAttribute(nid, "x", (random()-0.5)*spreading)
+          g.setNodeAttribute(nid, "y", (random()-0.5)*spreading)
+        }
+      })
+    } else {
+      let nodesIndex = {}
+      g.nodes().forEach(nid => {
+        let n = g.getNodeAttributes(nid)
+        if (!n.x || !n.y) {
+          // The node has no coordinate (it was not there in the previous slice)
+          // Compute average of neighbors
+          let x = 0
+          let y = 0
+          let count = 0
+          g.forEachNeighbor(nid, (n2id, n2) => {
+            if (n2.x && n2.y) {
+              x += n2.x
+              y += n2.y
+              count++
+            }
+          })
+          if (count==0) {
+            // No neighbors had positions: we use a random position.
+            x = (random()-0.5)*spreading
+            y = (random()-0.5)*spreading
+          }
+          nodesIndex[nid] = {x, y}
+        }
+      })
+      for (let nid in nodesIndex) {
+        let n = g.getNodeAttributes(nid)
+        n.x = nodesIndex[nid].x
+        n.y = nodesIndex[nid].y
+      }
+    }
+
+    if (sample) {
+      logger.info(`Layout 1/${howManyLayoutSteps} computed.`)
+    }
+
+  } catch (error) {
+    logger
+      .child({ context: {error:error.message} })
+      .error(`An error occurred during the layout (1/${howManyLayoutSteps}) of the network`);
+    console.log("Error", error)
+  }
+
+  try {
+    // Rough sketch
+    if (sample) {
+      logger.info(`Compute layout 2/${howManyLayoutSteps} - Rough sketch...`)
+    }
+
+    // Applying FA2 (basis)
+    runForceAtlas2(g, {iterations: 100*iterationsfactor, getEdgeWeight, settings: {
+      linLogMode: linlog,
+      outboundAttractionDistribution: false,
+      adjustSizes: false,
+      edgeWeightInfluence: edgeWeightInfluence,
+      scalingRatio: scaling,
+      strongGravityMode: strongergravity,
+      gravity: gravity,
+      slowDown: 5,
+      barnesHutOptimize: barneshut,
+      barnesHutTheta: 1.2,
+    }}, settings);
+
+    if (sample) {
+      logger.info(`Layout 2/${howManyLayoutSteps} computed.`)
+    }
+
+  } catch (error) {
+    logger
+      .child({ context: {error:error.message} })
+      .error(`An error occurred during the layout (2/${howManyLayoutSteps}) of the network`);
+    console.log("Error", error)
+  }
+
+  try {
+    // Refine
+    if (sample) {
+      logger.info(`Compute layout 3/${howManyLayoutSteps} - Precision pass...`)
+    }
+
+    // Refine FA2
+    runForceAtlas2(g, {iterations: 10*iterationsfactor, getEdgeWeight, settings: {
+      linLogMode: linlog,
+      outboundAttractionDistribution: false,
+      adjustSizes: false,
+      edgeWeightInfluence: edgeWeightInfluence,
+      scalingRatio: scaling,
+      strongGravityMode: strongergravity,
+      gravity: gravity,
+      slowDown: 20,
+      barnesHutOptimize: barneshut,
+      barnesHutTheta: 0.3,
+    }}, settings);
+
+    if (sample) {
+      logger.info(`Layout 3/${howManyLayoutSteps} computed.`)
+    }
+
+  } catch (error) {
+    logger
+      .child({ context: {error:error.message} })
+      .error(`An error occurred during the layout (3/${howManyLayoutSteps}) of the network`);
+    console.log("Error", error)
+  }
+
+  try {
+    // Refine
+    if (sample) {
+      logger.info(`Compute layout 4/${howManyLayoutSteps} - Slow refine (no Barnes Hut)...`);
+    }
+
+    // Refine FA2
+    runForceAtlas2(g, {iterations: 2*iterationsfactor, getEdgeWeight, settings: {
+      linLogMode: linlog,
+      outboundAttractionDistribution: false,
+      adjustSizes: false,
+      edgeWeightInfluence: edgeWeightInfluence,
+      scalingRatio: scaling,
+      strongGravityMode: strongergravity,
+      gravity: gravity,
+      slowDown: 20,
+      barnesHutOptimize: false,
+      barnesHutTheta: 0.3,
+    }}, settings);
+
+    if (sample) {
+      logger.info(`Layout 4/${howManyLayoutSteps} computed.`)
+    }
+
+  } catch (error) {
+    logger
+      .child({ context: {error:error.message} })
+      .error(`An error occurred during the layout (4/${howManyLayoutSteps}) of the network`);
+    console.log("Error", error)
+  }
+
+  if (preventoverlap) {
+    try {
+      // Prevent node overlap
+      if (sample) {
+        logger.info(`Compute layout 5/${howManyLayoutSteps} - Prevent node overlap...`);
+      }
+  
+      assignNoverlap(g, random, {
+        maxIterations: 120*iterationsfactor,
+        settings: {
+          gridSize: 64,
+          margin: 0.9,
+          ratio: 1.05,
+          speed:8,
+        }
+      });
+      assignNoverlap(g, random, {
+        maxIterations: 80*iterationsfactor,
+        settings: {
+          gridSize: 64,
+          margin: 0.6,
+          ratio: 1.05,
+          speed:4,
+        }
+      });
+      assignNoverlap(g, random, {
+        maxIterations: 40*iterationsfactor,
+        settings: {
+          gridSize: 64,
+          margin: 0.3,
+          ratio: 1.05,
+          speed:1,
+        }
+      });
+  
+      if (sample) {
+        logger.info(`Layout 5/${howManyLayoutSteps} computed.`);
+      }
+  
+    } catch (error) {
+      logger
+        .child({ context: {error:error.message} })
+        .error(`An error occurred during the layout (5/${howManyLayoutSteps}) of the network`);
+      console.log("Error", error)
+    }
+  }
+
+  // Fixed nodes stay in place (noverlap ignores the "fixed" attribute)
+  g.forEachNode((nid, n) => {
+    if (n.fixed) {
+      n.x = n.viz.x
+      n.y = n.viz.y
+    }
+  })
+}
\ No newline at end of file
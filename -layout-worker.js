@@ -0,0 +1,22 @@
+import { parentPort, workerData } from "worker_threads";
+import { layoutSlice, getRandom } from "./-layout-slice.js"
+
+// Worker of layout-slices (see --workers). It receives segments of
+// consecutive slices {from, slices, lastNodesIndex}, where lastNodesIndex has
+// the positions of the keyframe before the segment, lays them out one after
+// the other, and sends back {from, slices}.
+// workerData has the layout settings (but the logger) and the seed.
+
+// Logs are sent to layout-slices, which writes them
+let logger = {child: () => logger}
+for (let level of ["error", "warn", "info", "debug"]) {
+  logger[level] = message => parentPort.postMessage({log: level, message})
+}
+const settings = {...workerData.settings, logger}
+
+parentPort.on("message", ({from, slices, lastNodesIndex}) => {
+  slices.forEach((slice, j) => {
+    lastNodesIndex = layoutSlice(slice, lastNodesIndex, {...settings, random: getRandom(workerData.seed, from + j)})
+  })
+  parentPort.postMessage({from, slices})
+})
@@ -0,0 +1,135 @@
+/// PRUNE SLICE
+
+// Reduces the nodes of a slice, in this order:
+// - minDegree: removes nodes with a degree under the minimum. degreeType is
+//   "in", "out" or "total" (default). Undirected edges count as in and out.
+// - kCore: keeps the k-core (repeatedly removes nodes with a total degree
+//   under k)
+// - giantComponent: keeps the largest connected component (ignoring edge
+//   direction)
+// Edges losing their source or target are removed.
+// Edges are directed unless their type (or settings.defaultEdgeType) is
+// "undirected". A self-loop counts twice in the total degree.
+// Returns the statistics: numbers of nodes and edges before and after, and
+// the number of connected components before keeping the largest.
+export function pruneSlice(slice, settings) {
+  let stats = {
+    nodes: {before: slice.nodes.length},
+    edges: {before: slice.edges.length},
+  }
+
+  if (settings.minDegree !== undefined) {
+    const degrees = getDegrees(slice, settings)
+    const degreeType = settings.degreeType || "total"
+    keepNodes(slice, node => degrees[node.id][degreeType] >= settings.minDegree)
+  }
+
+  if (settings.kCore !== undefined) {
+    keepNodes(slice, getKCore(slice, settings.kCore))
+  }
+
+  if (settings.giantComponent) {
+    const components = getComponents(slice)
+    stats.components = components.length
+    const giantComponent = components.reduce((giant, component) => component.size > giant.size ? component : giant, new Set())
+    keepNodes(slice, node => giantComponent.has(node.id))
+  }
+
+  stats.nodes.after = slice.nodes.length
+  stats.edges.after = slice.edges.length
+  return stats
+}
+
+function keepNodes(slice, isKept) {
+  if (isKept instanceof Set) {
+    const keptIds = isKept
+    isKept = node => keptIds.has(node.id)
+  }
+  slice.nodes = slice.nodes.filter(isKept)
+  const nodeIds = new Set(slice.nodes.map(node => node.id))
+  slice.edges = slice.edges.filter(edge => nodeIds.has(edge.source) && nodeIds.has(edge.target))
+}
+
+function getDegrees(slice, settings) {
+  let degrees = {}
+  slice.nodes.forEach(node => {
+    degrees[node.id] = {in: 0, out: 0, total: 0}
+  })
+  slice.edges.forEach(edge => {
+    const directed = (edge.type || settings.defaultEdgeType) != "undirected"
+    degrees[edge.source].out++
+    degrees[edge.target].in++
+    if (!directed) {
+      degrees[edge.source].in++
+      degrees[edge.target].out++
+    }
+    degrees[edge.source].total++
+    degrees[edge.target].total++
+  })
+  return degrees
+}
+
+// Ids of the nodes of the k-core
+function getKCore(slice, k) {
+  let neighbors = {}
+  let degrees = {}
+  slice.nodes.forEach(node => {
+    neighbors[node.id] = []
+    degrees[node.id] = 0
+  })
+  slice.edges.forEach(edge => {
+    neighbors[edge.source].push(edge.target)
+    neighbors[edge.target].push(edge.source)
+    degrees[edge.source]++
+    degrees[edge.target]++
+  })
+  let kept = new Set(slice.nodes.map(node => node.id))
+  let stack = slice.nodes.filter(node => degrees[node.id] < k).map(node => node.id)
+  while (stack.length > 0) {
+    const nid = stack.pop()
+    if (!kept.has(nid)) {
+      continue
+    }
+    kept.delete(nid)
+    neighbors[nid].forEach(neighbor => {
+      if (kept.has(neighbor)) {
+        degrees[neighbor]--
+        if (degrees[neighbor] < k) {
+          stack.push(neighbor)
+        }
+      }
+    })
+  }
+  return kept
+}
+
+// Connected components, as sets of node ids, in the order of their first node
+export function getComponents(slice) {
+  let parents = {}
+  const find = function(nid) {
+    while (parents[nid] != nid) {
+      parents[nid] = parents[parents[nid]]
+      nid = parents[nid]
+    }
+    return nid
+  }
+  slice.nodes.forEach(node => {
+    parents[node.id] = node.id
+  })
+  slice.edges.forEach(edge => {
+    const sourceRoot = find(edge.source)
+    const targetRoot = find(edge.target)
+    if (sourceRoot != targetRoot) {
+      parents[targetRoot] = sourceRoot
+    }
+  })
+  let components = new Map()
+  slice.nodes.forEach(node => {
+    const root = find(node.id)
+    if (!components.has(root)) {
+      components.set(root, new Set())
+    }
+    components.get(root).add(node.id)
+  })
+  return [...components.values()]
+}
@@ -0,0 +1,45 @@
+/// SLICE INDEX
+
+// Time index over the slices, to find which slices an interval or a timestamp
+// falls into without scanning them all.
+// Slice starts and ends must both be sorted (non-decreasing), which is the case
+// for the windows built by slice-gexf. Then the slices overlapping a given time
+// form a contiguous range of indexes, found by binary search on the boundaries.
+// Ranges are returned as {from, to} (both included); they are empty if to<from.
+export function buildSliceIndex(slices) {
+  const starts = slices.map(slice => slice.start)
+  const ends = slices.map(slice => slice.end)
+
+  return {
+    // Slices such that !(end<slice.start || slice.end<start)
+    overlapping: function(start, end) {
+      return {
+        from: firstIndex(ends, d => d>=start),
+        to: firstIndex(starts, d => d>end) - 1,
+      }
+    },
+    // Slices such that slice.start<=timestamp<slice.end
+    containing: function(timestamp) {
+      return {
+        from: firstIndex(ends, d => d>timestamp),
+        to: firstIndex(starts, d => d>timestamp) - 1,
+      }
+    },
+  }
+}
+
+// First index of a sorted array where the (monotonic) test passes,
+// or the array length if it never does.
+function firstIndex(array, test) {
+  let lo = 0
+  let hi = array.length
+  while (lo<hi) {
+    const mid = (lo+hi) >>> 1
+    if (test(array[mid])) {
+      hi = mid
+    } else {
+      lo = mid+1
+    }
+  }
+  return lo
+}
@@ -0,0 +1,192 @@
+import * as fs from "fs";
+import * as readline from "readline";
+import { once } from "events";
+import { finished } from "stream/promises";
+
+// Slices are saved either in the flat format (one JSON object where each
+// slice holds all its nodes and edges), or in the compact format, made for
+// large files. The compact format is JSON lines: a header line with the
+// metadata (time format, attributes... and the number of slices), then one
+// line per slice where nodes and edges are encoded as differences with the
+// previous slice:
+// - add: [position, element] for each element entering the slice
+// - remove: ids of the elements leaving the slice
+// - change: [id, {changed properties}, [removed properties]] for the others
+// A slice whose elements are reordered or have duplicate ids is saved whole:
+// {reset: true, add: [elements]}.
+// Each line is parsed on its own, so there is no limit to the file size.
+
+const compactFormat = "slices-delta"
+
+
+/// LOAD
+
+// Loads slices in the flat format, whatever the format of the file
+export async function loadSlices(file) {
+  if (!isCompactSlicesFile(file)) {
+    const slicesJson = fs.readFileSync(file, 'utf8')
+    return JSON.parse(slicesJson)
+  }
+  let data
+  let previousSlice = {nodes: [], edges: []}
+  const lines = readline.createInterface({input: fs.createReadStream(file, {encoding: 'utf8'}), crlfDelay: Infinity})
+  for await (const line of lines) {
+    if (line.trim() == "") {
+      continue
+    }
+    if (!data) {
+      data = JSON.parse(line)
+      delete data.format
+      data.slices = []
+      continue
+    }
+    let slice = JSON.parse(line)
+    slice.nodes = decodeElements(previousSlice.nodes, slice.nodes)
+    slice.edges = decodeElements(previousSlice.edges, slice.edges)
+    data.slices.push(slice)
+    previousSlice = slice
+  }
+  return data
+}
+
+// Whether a file is in the compact format (judging by its first bytes)
+export function isCompactSlicesFile(file) {
+  const fd = fs.openSync(file, 'r')
+  const buffer = Buffer.alloc(64)
+  const bytesRead = fs.readSync(fd, buffer, 0, 64, 0)
+  fs.closeSync(fd)
+  return buffer.toString('utf8', 0, bytesRead).replace(/\s/g, "").startsWith(`{"format":"${compactFormat}"`)
+}
+
+function decodeElements(previousElements, delta) {
+  if (delta.reset) {
+    return delta.add
+  }
+  const removed = new Set(delta.remove || [])
+  let elements = previousElements
+    .filter(element => !removed.has(element.id))
+    .map(element => ({...element}))
+  if (delta.change) {
+    let elementsIndex = new Map(elements.map(element => [element.id, element]))
+    delta.change.forEach(([id, changed, unset]) => {
+      let element = elementsIndex.get(id)
+      Object.assign(element, changed)
+      if (unset) {
+        unset.forEach(key => {
+          delete element[key]
+        })
+      }
+    })
+  }
+  if (delta.add) {
+    delta.add.forEach(([position, element]) => {
+      elements.splice(position, 0, element)
+    })
+  }
+  return elements
+}
+
+
+/// SAVE
+
+// Saves slices in the flat format, or the compact one
+export async function saveSlices(file, data, compact) {
+  if (!compact) {
+    const serializedJSON = JSON.stringify(data)
+    await fs.promises.writeFile(file, serializedJSON)
+    return
+  }
+  const writeStream = fs.createWriteStream(file, {encoding: 'utf8'})
+  // A write error (disk full, no permission...) rejects the write waiting
+  // for the stream to drain, or else the next write
+  let writeError
+  writeStream.on("error", error => {
+    writeError = error
+  })
+  const writeLine = async function(object) {
+    if (writeError) {
+      throw writeError
+    }
+    if (!writeStream.write(JSON.stringify(object) + "\n")) {
+      await once(writeStream, "drain")
+    }
+  }
+  let header = {format: compactFormat}
+  for (let key in data) {
+    header[key] = (key == "slices") ? data.slices.length : data[key]
+  }
+  await writeLine(header)
+  let previousSlice = {nodes: [], edges: []}
+  for (let slice of data.slices) {
+    let line = {}
+    for (let key in slice) {
+      if (key != "nodes" && key != "edges") {
+        line[key] = slice[key]
+      }
+    }
+    line.nodes = encodeElements(previousSlice.nodes, slice.nodes)
+    line.edges = encodeElements(previousSlice.edges, slice.edges)
+    await writeLine(line)
+    previousSlice = slice
+  }
+  writeStream.end()
+  await finished(writeStream)
+}
+
+function encodeElements(previousElements, elements) {
+  const previousIndex = new Map(previousElements.map(element => [element.id, element]))
+  const currentIds = new Set(elements.map(element => element.id))
+
+  // Save the slice whole if elements cannot be identified or kept in order
+  const keptIds = elements.filter(element => previousIndex.has(element.id)).map(element => element.id)
+  const previousKeptIds = previousElements.filter(element => currentIds.has(element.id)).map(element => element.id)
+  if (
+    currentIds.size != elements.length
+    || previousIndex.size != previousElements.length
+    || keptIds.some((id, i) => id !== previousKeptIds[i])
+  ) {
+    return {reset: true, add: elements}
+  }
+
+  let delta = {}
+  const remove = previousElements
+    .filter(element => !currentIds.has(element.id))
+    .map(element => element.id)
+  let add = []
+  let change = []
+  elements.forEach((element, position) => {
+    const previousElement = previousIndex.get(element.id)
+    if (!previousElement) {
+      add.push([position, element])
+      return
+    }
+    let changed = {}
+    let unset = []
+    // Undefined properties are absent, as in the flat format
+    for (let key in element) {
+      if (element[key] !== undefined && JSON.stringify(element[key]) !== JSON.stringify(previousElement[key])) {
+        changed[key] = element[key]
+      }
+    }
+    for (let key in previousElement) {
+      if (previousElement[key] !== undefined && element[key] === undefined) {
+        unset.push(key)
+      }
+    }
+    if (unset.length > 0) {
+      change.push([element.id, changed, unset])
+    } else if (Object.keys(changed).length > 0) {
+      change.push([element.id, changed])
+    }
+  })
+  if (add.length > 0) {
+    delta.add = add
+  }
+  if (remove.length > 0) {
+    delta.remove = remove
+  }
+  if (change.length > 0) {
+    delta.change = change
+  }
+  return delta
+}
@@ -0,0 +1,183 @@
+import * as fs from "fs";
+import path from 'path';
+import * as d3 from 'd3';
+import { readGexfHeader, streamGexf } from "./-gexf-stream.js"
+
+// A sequence of static GEXF snapshots (one file per period) is read as a
+// dynamic GEXF with timestamps: each node and edge of a snapshot is an
+// element whose timestamp is the time of the snapshot. Nodes and edges are
+// matched across snapshots by id.
+//
+// Settings (all optional):
+// - index: CSV or TSV file with a "file" and a "time" column. Files are
+//   relative to the folder of the index. Only listed files are used.
+// - timePattern: regular expression finding the time in file names (its
+//   first group, or else the whole match). By default, the first date
+//   (YYYY-MM-DD) or else the first number.
+
+// Whether the input designates snapshots: a folder, or a glob pattern
+export function isSnapshotsInput(input) {
+  if (/[*?]/.test(input)) {
+    return true
+  }
+  return fs.existsSync(input) && fs.statSync(input).isDirectory()
+}
+
+
+/// LIST SNAPSHOTS
+
+// Returns the snapshots as [{file, time}] where time is the raw string,
+// in file name order.
+export function listSnapshots(input, settings) {
+  settings = settings || {}
+  const files = listFiles(input)
+  if (files.length == 0) {
+    throw new Error(`No GEXF file found in ${input}.`)
+  }
+
+  // Times from an index file
+  if (settings.index) {
+    const indexFolder = path.dirname(settings.index)
+    const indexText = fs.readFileSync(settings.index, 'utf8')
+    const rows = (/\.tsv$/i.test(settings.index) ? d3.tsvParse : d3.csvParse)(indexText)
+    if (!rows.columns.includes("file") || !rows.columns.includes("time")) {
+      throw new Error(`The snapshot index ${settings.index} must have a "file" and a "time" column.`)
+    }
+    const filesSet = new Set(files.map(file => path.resolve(file)))
+    return rows.map(row => {
+      const file = path.join(indexFolder, row.file)
+      if (!filesSet.has(path.resolve(file))) {
+        throw new Error(`The snapshot ${row.file} of the index is not in ${input}.`)
+      }
+      return {file, time: row.time.trim()}
+    })
+  }
+
+  // Times from file names
+  const timePattern = settings.timePattern ? new RegExp(settings.timePattern) : undefined
+  return files.map(file => {
+    const name = path.basename(file, path.extname(file))
+    let match
+    if (timePattern) {
+      match = name.match(timePattern)
+    } else {
+      match = name.match(/\d{4}-\d{2}-\d{2}/) || name.match(/\d+(?:\.\d+)?/)
+    }
+    if (!match) {
+      throw new Error(`No time found in the file name of the snapshot ${file}.`)
+    }
+    return {file, time: (match[1] === undefined ? match[0] : match[1])}
+  })
+}
+
+// GEXF files of a folder, or matching a glob pattern (wildcards * and ? in
+// the file name only)
+function listFiles(input) {
+  if (!/[*?]/.test(input)) {
+    return fs.readdirSync(input)
+      .filter(name => /\.gexf$/i.test(name))
+      .sort()
+      .map(name => path.join(input, name))
+  }
+  const folder = path.dirname(input)
+  const namePattern = new RegExp("^" + path.basename(input)
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*")
+    .replace(/\?/g, ".") + "$")
+  return fs.readdirSync(folder)
+    .filter(name => namePattern.test(name))
+    .sort()
+    .map(name => path.join(folder, name))
+}
+
+// Time format of the times of snapshots
+export function guessSnapshotsTimeformat(snapshots) {
+  const times = snapshots.map(snapshot => snapshot.time)
+  if (times.every(time => /^\d{4}-\d{2}-\d{2}$/.test(time))) {
+    return "date"
+  }
+  if (times.every(time => /^\d{4}-\d{2}-\d{2}[T ]/.test(time))) {
+    return "dateTime"
+  }
+  if (times.every(time => /^-?\d+$/.test(time))) {
+    return "integer"
+  }
+  return "double"
+}
+
+
+/// READ HEADER
+
+// Reads the headers of all snapshots and returns a header shaped like that of
+// a dynamic GEXF with timestamps. Attributes are those declared in any
+// snapshot (the first declaration of an id wins), and are dynamic since their
+// values can change from a snapshot to the next.
+export async function readSnapshotsHeader(snapshots) {
+  let header = {
+    version: "",
+    graph: {mode: "dynamic", timeformat: guessSnapshotsTimeformat(snapshots), timerepresentation: "timestamp", defaultedgetype: ""},
+    attributes: [],
+    conflicts: [],
+    dynamicSnapshots: [],
+  }
+  let declared = {}
+  for (let snapshot of snapshots) {
+    const snapshotHeader = await readGexfHeader(snapshot.file)
+    header.version = header.version || snapshotHeader.version
+    header.graph.defaultedgetype = header.graph.defaultedgetype || snapshotHeader.graph.defaultedgetype
+    if (snapshotHeader.graph.mode == "dynamic") {
+      header.dynamicSnapshots.push(snapshot.file)
+    }
+    snapshotHeader.attributes.forEach(({attObj, attClass}) => {
+      const key = `${attClass}/${attObj.id}`
+      if (declared[key]) {
+        if (declared[key].type != attObj.type) {
+          header.conflicts.push({attClass, attObj, file: snapshot.file})
+        }
+        return
+      }
+      declared[key] = attObj
+      header.attributes.push({attObj: {...attObj, mode: "dynamic"}, attClass})
+    })
+  }
+  return header
+}
+
+
+/// STREAM SNAPSHOTS
+
+// Reads the snapshots one after the other and calls the handlers node(element)
+// and edge(element) with elements shaped like those of streamGexf, having the
+// time of their snapshot as timestamp, as do their attribute values. Times
+// within a snapshot (if dynamic) are ignored.
+export async function streamSnapshots(snapshots, handlers) {
+  for (let snapshot of snapshots) {
+    let snapshotHandlers = {}
+    for (let name of ["node", "edge"]) {
+      if (handlers[name]) {
+        snapshotHandlers[name] = element => {
+          handlers[name](setSnapshotTime(element, snapshot.time))
+        }
+      }
+    }
+    await streamGexf(snapshot.file, snapshotHandlers)
+  }
+}
+
+function setSnapshotTime(element, time) {
+  delete element.start
+  delete element.end
+  delete element.startopen
+  delete element.endopen
+  element.timestamp = time
+  element.spells = []
+  element.attvalues.forEach(attvalue => {
+    delete attvalue.start
+    delete attvalue.end
+    attvalue.timestamp = time
+  })
+  element.viz.forEach(viz => {
+    viz.spells = []
+  })
+  return element
+}
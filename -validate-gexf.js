@@ -0,0 +1,254 @@
+import { readGexfHeader, streamGexf } from "./-gexf-stream.js"
+import { castAttributeValue } from "./-attribute-types.js"
+import { parseDateTime } from "./-calendar.js"
+
+// Checks the nodes and edges of a GEXF against what slice-gexf expects, and
+// reports the issues found, by check, with their count and the first examples
+// (line numbers and messages).
+
+export const validationChecks = {
+  "duplicate-id": {severity: "error", description: "nodes or edges with the same id as a previous one"},
+  "missing-node": {severity: "error", description: "edges whose source or target is not a node"},
+  "unparseable-time": {severity: "error", description: "times that do not match the time format"},
+  "malformed-spell": {severity: "error", description: "spells without time, or ending before they start"},
+  "time-representation": {severity: "warning", description: "times not in the time representation of the graph, or open bounds (ignored)"},
+  "no-time": {severity: "warning", description: "nodes or edges of a dynamic graph without time or spells (in no slice)"},
+  "undeclared-attribute": {severity: "warning", description: "attribute values of undeclared attributes (ignored)"},
+  "invalid-value": {severity: "warning", description: "attribute values not matching the type of their attribute (kept as strings)"},
+  "outside-lifetime": {severity: "warning", description: "attribute values or viz whose time is outside the lifetime of their node or edge"},
+  "edge-outside-nodes": {severity: "warning", description: "edges present at times when their source or target is not (dropped at these times)"},
+}
+
+
+/// VALIDATE
+
+// Settings (all optional):
+// - timeformat and timerepresentation: default to those of the GEXF
+// - timeParser: parses a time into a number (NaN if invalid). Defaults to
+//   parsing the time format, with dates in UTC.
+// - maxExamples: number of examples kept by check (default: 10)
+// - dynamic: whether elements are expected to have times. Defaults to
+//   whether the graph mode is "dynamic".
+// Returns {nodes, edges, checks}, where checks maps the name of each check
+// to its severity, description, count and examples ({line, message}).
+export async function validateGexf(file, settings) {
+  settings = settings || {}
+  const header = await readGexfHeader(file)
+  const timeformat = settings.timeformat || header.graph.timeformat || "integer"
+  const timerepresentation = settings.timerepresentation || header.graph.timerepresentation || "interval"
+  const timeParser = settings.timeParser || getDefaultTimeParser(timeformat)
+  const maxExamples = (settings.maxExamples === undefined) ? 10 : settings.maxExamples
+  const dynamic = (settings.dynamic === undefined) ? (header.graph.mode == "dynamic") : settings.dynamic
+  // Timestamps are instants: an element and its parts need not share them
+  const checkLifetimes = (timerepresentation == "interval")
+
+  let report = {nodes: 0, edges: 0, checks: {}}
+  for (let check in validationChecks) {
+    report.checks[check] = {...validationChecks[check], count: 0, examples: []}
+  }
+  const addIssue = function(check, line, message) {
+    let reportCheck = report.checks[check]
+    reportCheck.count++
+    if (reportCheck.examples.length < maxExamples) {
+      reportCheck.examples.push({line, message})
+    }
+  }
+
+  let attributes = {node: {}, edge: {}}
+  header.attributes.forEach(({attObj, attClass}) => {
+    if (attributes[attClass]) {
+      attributes[attClass][attObj.id] = attObj
+    }
+  })
+
+  // Time of a part (element, spell, attvalue or viz) as an interval
+  // [start, end], or undefined if it has no time. Reports the issues.
+  // As in slice-gexf, open bounds (startopen, endopen) are not read.
+  const ignoredTimeKeys = (timerepresentation == "timestamp") ? ["start", "end", "startopen", "endopen"] : ["timestamp", "startopen", "endopen"]
+  const getInterval = function(part, name) {
+    const usedKeys = ignoredTimeKeys.filter(key => part[key])
+    if (usedKeys.length > 0) {
+      addIssue("time-representation", part.line, `${upperFirst(name)} has ${usedKeys.join(" and ")}, ignored with the "${timerepresentation}" time representation.`)
+    }
+    const times = (timerepresentation == "timestamp") ? [part.timestamp, part.timestamp] : [part.start, part.end]
+    if (!times[0] && !times[1]) {
+      return undefined
+    }
+    let interval = [-Infinity, Infinity]
+    for (let i of [0, 1]) {
+      if (times[i]) {
+        const time = timeParser(times[i])
+        if (isNaN(time)) {
+          addIssue("unparseable-time", part.line, `${upperFirst(name)} has the time "${times[i]}", which is not a valid ${timeformat}.`)
+          return null
+        }
+        interval[i] = time
+      }
+    }
+    if (interval[0] > interval[1]) {
+      addIssue("malformed-spell", part.line, `${upperFirst(name)} ends (${times[1]}) before it starts (${times[0]}).`)
+      return null
+    }
+    return interval
+  }
+
+  // Lifetime of an element: its own time, or else its spells, as a list of
+  // intervals (undefined if it has no time)
+  const getLifetime = function(element, name) {
+    const ownInterval = getInterval(element, name)
+    if (ownInterval !== undefined) {
+      return ownInterval ? [ownInterval] : []
+    }
+    if (element.spells.length == 0) {
+      if (dynamic) {
+        addIssue("no-time", element.line, `${upperFirst(name)} has no time and no spells.`)
+      }
+      return undefined
+    }
+    let lifetime = []
+    element.spells.forEach(spell => {
+      const interval = getInterval(spell, `A spell of ${name}`)
+      if (interval === undefined) {
+        addIssue("malformed-spell", spell.line, `A spell of ${name} has no time.`)
+      } else if (interval) {
+        lifetime.push(interval)
+      }
+    })
+    return mergeIntervals(lifetime)
+  }
+
+  // Attribute values and viz of an element
+  const checkParts = function(element, attClass, name, lifetime) {
+    element.attvalues.forEach(attvalue => {
+      const attObj = attributes[attClass][attvalue.for]
+      if (!attObj) {
+        addIssue("undeclared-attribute", attvalue.line, `${upperFirst(name)} has a value for the undeclared ${attClass} attribute "${attvalue.for}".`)
+        return
+      }
+      if (castAttributeValue(attvalue.value, attObj.type).error) {
+        addIssue("invalid-value", attvalue.line, `${upperFirst(name)} has the value "${attvalue.value}" for the attribute "${attObj.id}", which is not a valid ${attObj.type}.`)
+      }
+      const interval = getInterval(attvalue, `The value of "${attObj.id}" of ${name}`)
+      if (checkLifetimes && interval && lifetime && !isCovered(interval, lifetime)) {
+        addIssue("outside-lifetime", attvalue.line, `The value of "${attObj.id}" of ${name} is outside the lifetime of the ${attClass}.`)
+      }
+    })
+    element.viz.forEach(viz => {
+      const intervals = [viz, ...viz.spells]
+        .map(part => getInterval(part, `The viz:${viz.type} of ${name}`))
+        .filter(interval => interval)
+      if (checkLifetimes && lifetime && intervals.some(interval => !isCovered(interval, lifetime))) {
+        addIssue("outside-lifetime", viz.line, `The viz:${viz.type} of ${name} is outside the lifetime of the ${attClass}.`)
+      }
+    })
+  }
+
+  // Nodes (first pass)
+  let nodeLifetimes = new Map()
+  await streamGexf(file, {
+    node: element => {
+      report.nodes++
+      const name = `the node "${element.id}"`
+      if (nodeLifetimes.has(element.id)) {
+        addIssue("duplicate-id", element.line, `${upperFirst(name)} has the same id as a previous node.`)
+      }
+      const lifetime = getLifetime(element, name)
+      nodeLifetimes.set(element.id, lifetime)
+      checkParts(element, "node", name, lifetime)
+    },
+  }, {lines: true})
+
+  // Edges (second pass)
+  let edgeIds = new Set()
+  await streamGexf(file, {
+    edge: element => {
+      report.edges++
+      const name = `the edge "${element.id}"`
+      if (element.id !== undefined) {
+        if (edgeIds.has(element.id)) {
+          addIssue("duplicate-id", element.line, `${upperFirst(name)} has the same id as a previous edge.`)
+        }
+        edgeIds.add(element.id)
+      }
+      const lifetime = getLifetime(element, name)
+      let missingNode = false
+      for (let end of ["source", "target"]) {
+        if (!nodeLifetimes.has(element[end])) {
+          addIssue("missing-node", element.line, `${upperFirst(name)} has the ${end} "${element[end]}", which is not a node.`)
+          missingNode = true
+        }
+      }
+      if (checkLifetimes && !missingNode) {
+        const nodesLifetime = intersectLifetimes(nodeLifetimes.get(element.source), nodeLifetimes.get(element.target))
+        if (lifetime && nodesLifetime && lifetime.some(interval => !isCovered(interval, nodesLifetime))) {
+          addIssue("edge-outside-nodes", element.line, `${upperFirst(name)} is present at times when its source "${element.source}" or its target "${element.target}" is not.`)
+        }
+      }
+      checkParts(element, "edge", name, lifetime)
+    },
+  }, {lines: true})
+
+  return report
+}
+
+function upperFirst(string) {
+  return string.charAt(0).toUpperCase() + string.substring(1)
+}
+
+function getDefaultTimeParser(timeformat) {
+  if (timeformat == "date" || timeformat == "dateTime") {
+    return time => parseDateTime(time, "UTC")
+  }
+  if (timeformat == "integer") {
+    return time => (String(time).trim() != "" && Number.isInteger(+time)) ? +time : NaN
+  }
+  return time => (String(time).trim() != "") ? +time : NaN
+}
+
+
+/// LIFETIMES
+
+// Lifetimes are lists of intervals [start, end], sorted and disjoint
+
+function mergeIntervals(intervals) {
+  let merged = []
+  intervals
+    .slice()
+    .sort((a, b) => a[0] - b[0])
+    .forEach(interval => {
+      const last = merged.at(-1)
+      if (last && interval[0] <= last[1]) {
+        last[1] = Math.max(last[1], interval[1])
+      } else {
+        merged.push([...interval])
+      }
+    })
+  return merged
+}
+
+// Whether an interval is within one interval of a lifetime
+function isCovered(interval, lifetime) {
+  return lifetime.some(lifeInterval => lifeInterval[0] <= interval[0] && interval[1] <= lifeInterval[1])
+}
+
+// Times when both lifetimes are present (undefined means no time: nothing
+// to compare with)
+function intersectLifetimes(lifetimeA, lifetimeB) {
+  if (!lifetimeA) {
+    return lifetimeB
+  }
+  if (!lifetimeB) {
+    return lifetimeA
+  }
+  let intersection = []
+  lifetimeA.forEach(a => {
+    lifetimeB.forEach(b => {
+      const start = Math.max(a[0], b[0])
+      const end = Math.min(a[1], b[1])
+      if (start <= end) {
+        intersection.push([start, end])
+      }
+    })
+  })
+  return mergeIntervals(intersection)
+}
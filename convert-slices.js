@@ -0,0 +1,48 @@
+import { Command } from 'commander';
+import { getLogger } from "./-get-logger.js"
+import { loadSlices, saveSlices, isCompactSlicesFile } from "./-slices-file.js"
+
+// CLI logic
+let program, options
+program = new Command();
+program
+	.name('convert-slices')
+	.description('Convert slices between the flat and the compact formats')
+  .requiredOption('-i, --input <file>', 'Slices JSON file, with or without layout (required)')
+  .requiredOption('-o, --output <file>', 'Converted slices file (required)')
+  .option('-t, --to <format>', 'Output format: "flat" or "compact". Defaults to the other format than the input file.')
+  .showHelpAfterError()
+  .parse(process.argv);
+
+options = program.opts();
+
+// Logger
+const logger = getLogger(`log/${program.name()}.log`)
+logger.level = "debug"
+
+// Load slices
+let data, inputFormat
+try {
+  inputFormat = isCompactSlicesFile(options.input) ? "compact" : "flat"
+  data = await loadSlices(options.input)
+  logger.info(`Input file loaded: ${options.input} (${inputFormat} format). It contains ${data.slices.length} slices.`)
+} catch (err) {
+  logger.error(`Error loading input file ${options.input}.\n${err}`)
+  process.exit()
+}
+
+// Output format
+const outputFormat = options.to || (inputFormat == "compact" ? "flat" : "compact")
+if (outputFormat != "flat" && outputFormat != "compact") {
+  logger.error(`The output format "${outputFormat}" is not supported. Use "flat" or "compact".`)
+  process.exit()
+}
+
+// Save slices
+try {
+  await saveSlices(options.output, data, outputFormat == "compact")
+} catch (err) {
+  logger.error(`Error saving the slices to ${options.output}.\n${err}`)
+  process.exit()
+}
+logger.info(`Slices saved to: ${options.output} (${outputFormat} format)`)
@@ -1,10 +1,12 @@
 import { Command } from 'commander';
 import { getLogger } from "./-get-logger.js"
 import * as fs from "fs";
+import { loadSlices, saveSlices, isCompactSlicesFile } from "./-slices-file.js"
+import { applyEdgePolicies, resolveEdgePolicies } from "./-edge-policies.js"
+import { layoutSlice, getRandom, buildNetwork, setNodeSizes, setVizPositions, setAnchorPositions, addGroupEdges, centerGroups, renderLayout, assignNoverlap } from "./-layout-slice.js"
+import { Worker } from "worker_threads";
 import Graph from "graphology";
 import gexf from "graphology-gexf";
-import forceAtlas2 from 'graphology-layout-forceatlas2';
-import noverlap from 'graphology-layout-noverlap';
 
 // CLI logic
 let program, options
@@ -17,6 +19,8 @@ program
   .option('--nodesizemin <number>', 'Minimal node size. Default: 10.')
   .option('--nodesizefactor <number>', 'Node size factor: how much node size grows with (in-)degree. Default: 2.')
   .option('--nodesizepower <number>', 'Node size power (exponent): above 1, size grows exponentially with (in-)degree. Default: 1.')
+  .option('--vizsizes <boolean>', 'Use node sizes from the GEXF (viz:size) when available, instead of (in-)degree. Default: false.')
+  .option('--vizpositions <mode>', 'Use node positions from the GEXF (viz:position): "none", "initial" (nodes start from their position when they appear) or "fixed" (nodes stay at their position). Default: none.')
   .option('--strongergravity <boolean>', 'Force Atlas 2 "strong gravity" setting. Default: true')
   .option('--gravity <number>', 'Force Atlas 2 "gravity" setting. Default: 1.')
   .option('--iterationsfactor <number>', 'Force Atlas 2 "iterationsfactor" setting. Default: 10.')
@@ -24,6 +28,21 @@ program
   .option('--scaling <number>', 'Force Atlas 2 "scaling" setting. Default: 1.')
   .option('--linlog <boolean>', 'Force Atlas 2 "linlog" setting. Default: true.')
   .option('--preventoverlap <boolean>', 'Force Atlas 2 "preventoverlap" setting. Default: true.')
+  .option('--groups <boolean>', 'Hierarchical slices only. Lay out parent nodes as groups: children are pulled towards their parent, and each parent is placed at the center of its children. Default: true.')
+  .option('--paralleledges <policy>', 'Parallel edges (same source and target): "keep" (multigraph: each edge attracts) or "merge" (one edge, with the sum of their weights). Default: the policy of the slices (see slice-gexf), or keep.')
+  .option('--selfloops <policy>', 'Self-loops: "keep" or "drop". Default: the policy of the slices (see slice-gexf), or keep.')
+  .option('--anchored <boolean>', 'Anchored layout: lay out the union of all slices first, then pull each node towards its position in that layout (its anchor), so that it stays roughly in the same place for the whole video. Default: false.')
+  .option('--anchorstrength <number>', 'Anchored layout only. Fraction of the distance to its anchor that a node moves every 10 iterations of Force Atlas 2 (between 0 and 1). Default: 0.1.')
+  .option('--align <mode>', 'Align each slice on the previous one, on the nodes they share, to remove the global rotation and drift of layouts: "none", "rigid" (rotation and translation) or "similarity" (rotation, translation and scale). Default: none.')
+  .option('--smoothing <method>', 'Smooth the trajectory of each node over time, after the layouts: "none", "average" (centered moving average), "exponential" (exponential smoothing, forward and backward) or "spline" (smoothing spline). A light noverlap follows. Default: none.')
+  .option('--smoothingwindow <number>', 'Smoothing window, in slices: the larger, the smoother. Default: 5.')
+  .option('--recency <boolean>', 'Use edge recency (from "decaying" slices) as edge weight, so that recent edges attract more. Default: true.')
+  .option('--checkpoint <number>', 'Save a checkpoint every N slices, to resume the layout after a crash or an interruption (see --resume). 0 for no checkpoint. Default: 100.')
+  .option('-r, --resume', 'Resume the layout from the last checkpoint (slices-layout.checkpoint.jsonl), made with the same input and settings.')
+  .option('--workers <number>', 'Number of worker threads laying out slices in parallel. Above 1, keyframes (every few slices) are laid out first, one after the other, then the slices between keyframes, in parallel. Default: 1 (no parallelism).')
+  .option('--keyframespacing <number>', 'Parallel layout only. Number of slices from a keyframe to the next. Default: enough keyframes for 4 segments of slices per worker.')
+  .option('--seed <number>', 'Seed of the random positions of new nodes, to get the same layout at every run (with the same number of workers). Default: none (random).')
+  .option('--compact <boolean>', 'Save slices with layout in the compact format (each slice stored as its differences with the previous one). Default: same format as the input file.')
   .showHelpAfterError()
   .parse(process.argv);
 
@@ -33,17 +52,127 @@ options = program.opts();
 const logger = getLogger(`log/${program.name()}.log`)
 logger.level = "debug"
 
+// Viz positions mode
+const vizPositions = options.vizpositions || "none"
+if (vizPositions != "none" && vizPositions != "initial" && vizPositions != "fixed") {
+  logger.error(`The viz positions mode "${vizPositions}" is not supported. Use "none", "initial" or "fixed".`)
+  process.exit()
+}
+
+// Anchored layout
+const anchored = (options.anchored===undefined)?false:(options.anchored.toLowerCase()=="true")
+const anchorStrength = (options.anchorstrength === undefined) ? 0.1 : +options.anchorstrength
+if (anchored && !(anchorStrength >= 0 && anchorStrength <= 1)) {
+  logger.error(`The anchor strength "${options.anchorstrength}" must be between 0 and 1.`)
+  process.exit()
+}
+
+// Alignment mode
+const alignMode = options.align || "none"
+if (alignMode != "none" && alignMode != "rigid" && alignMode != "similarity") {
+  logger.error(`The alignment mode "${alignMode}" is not supported. Use "none", "rigid" or "similarity".`)
+  process.exit()
+}
+if (alignMode != "none" && vizPositions == "fixed") {
+  logger.warn(`Layouts are not aligned, since node positions are fixed by the GEXF (--vizpositions fixed).`)
+}
+
+// Smoothing
+const smoothing = options.smoothing || "none"
+if (smoothing != "none" && smoothing != "average" && smoothing != "exponential" && smoothing != "spline") {
+  logger.error(`The smoothing method "${smoothing}" is not supported. Use "none", "average", "exponential" or "spline".`)
+  process.exit()
+}
+const smoothingWindow = (options.smoothingwindow === undefined) ? 5 : +options.smoothingwindow
+if (!(smoothingWindow >= 1)) {
+  logger.error(`The smoothing window "${options.smoothingwindow}" must be a number of slices (1 or more).`)
+  process.exit()
+}
+
+// Checkpoints
+const checkpointFile = `slices-layout.checkpoint.jsonl`
+const checkpointEvery = (options.checkpoint === undefined) ? 100 : +options.checkpoint
+if (!(Number.isInteger(checkpointEvery) && checkpointEvery >= 0)) {
+  logger.error(`The checkpoint frequency "${options.checkpoint}" must be a number of slices (0 for no checkpoint).`)
+  process.exit()
+}
+let checkpointPending = [] // Slices laid out since the last checkpoint (see addToCheckpoint)
+
+// Parallel layout
+const workerCount = (options.workers === undefined) ? 1 : +options.workers
+if (!(Number.isInteger(workerCount) && workerCount >= 1)) {
+  logger.error(`The number of workers "${options.workers}" must be a whole number (1 or more).`)
+  process.exit()
+}
+const seed = options.seed
+
 // Load slices
 const slicesFile = options.input || "slices.json"
-let slicesJson, data
+let data, compact
 try {
-  slicesJson = fs.readFileSync(slicesFile, 'utf8');
-  data = JSON.parse(slicesJson);
+  compact = isCompactSlicesFile(slicesFile)
+  data = await loadSlices(slicesFile)
   logger.info(`Input file loaded: ${slicesFile}. It contains ${data.slices.length} slices.`)
 } catch (err) {
   logger.error(`Error loading input file ${slicesFile}.\n${err}`)
 }
 
+// Edge policies: those of the slices, unless set. Merging or dropping edges
+// also changes the edges of the slices, so that render-video gets the same.
+const edgePolicies = resolveEdgePolicies(options, data, logger)
+if (!edgePolicies) {
+  process.exit()
+}
+data.paralleledges = edgePolicies.parallelEdges
+data.selfloops = edgePolicies.selfLoops
+
+// Keyframes of the parallel layout
+const keyframeSpacing = (options.keyframespacing === undefined) ? Math.max(2, Math.ceil(data.slices.length / (workerCount * 4))) : +options.keyframespacing
+if (!(Number.isInteger(keyframeSpacing) && keyframeSpacing >= 1)) {
+  logger.error(`The keyframe spacing "${options.keyframespacing}" must be a number of slices (1 or more).`)
+  process.exit()
+}
+
+// Settings of the layout of each slice (see -layout-slice.js)
+const layoutSettings = {options, logger, vizPositions, windowMode: data.windowmode, edgePolicies, anchorStrength}
+
+// Resume from the last checkpoint
+let resumed
+if (options.resume && !options.sample) {
+  try {
+    resumed = readCheckpoint()
+  } catch (err) {
+    logger.error(`The checkpoint ${checkpointFile} could not be resumed.\n${err.message}`)
+    process.exit()
+  }
+  if (resumed) {
+    logger.info(`Resume from the checkpoint ${checkpointFile}: ${resumed.positions.filter(slicePositions => slicePositions).length}/${data.slices.length} slices already laid out.`)
+  } else {
+    logger.warn(`There is no checkpoint to resume (${checkpointFile}): the layout starts from the first slice.`)
+  }
+}
+
+// Anchors: positions of the nodes in the layout of the union of all slices
+let anchors
+if (resumed && resumed.anchors) {
+  anchors = new Map(resumed.anchors.map(([nid, x, y]) => [nid, {x, y}]))
+  logger.info(`Anchors loaded from the checkpoint.`)
+} else if (anchored) {
+  logger.info(`Compute the layout of the union of all slices (anchors)...`)
+  let union = buildNetwork(getUnionSlice(data.slices), layoutSettings)
+  setNodeSizes(union, layoutSettings)
+  setVizPositions(union, {}, layoutSettings)
+  const groupEdges = addGroupEdges(union, layoutSettings)
+  renderLayout(union, true, {...layoutSettings, random: getRandom(seed, "anchors")})
+  centerGroups(union, groupEdges)
+  anchors = new Map()
+  union.forEachNode((nid, n) => {
+    anchors.set(nid, {x: n.x, y: n.y})
+  })
+  logger.info(`Anchors computed from the union of all slices (${union.order} nodes, ${union.size} edges).`)
+}
+layoutSettings.anchors = anchors
+
 if (options.sample) {
   // Sample a single slice
   // Check that the slice is in the range
@@ -54,13 +183,17 @@ if (options.sample) {
     logger.info(`Sample slice ${options.sample}.`)
     const slice = data.slices[options.sample]
 
-    let g = buildNetwork(slice)
+    let g = buildNetwork(slice, layoutSettings)
     logger.info(`Network built (${g.order} nodes, ${g.size} edges).`);
 
-    setNodeSizes(g)
+    setNodeSizes(g, layoutSettings)
+    setVizPositions(g, {}, layoutSettings)
+    setAnchorPositions(g, layoutSettings)
 
     // Render layout
-    renderLayout(g, true)
+    const groupEdges = addGroupEdges(g, layoutSettings)
+    renderLayout(g, true, {...layoutSettings, random: getRandom(seed, +options.sample)})
+    centerGroups(g, groupEdges)
 
     // Export GEXF
     const networkFile = `sampled-slice.gexf`
@@ -84,291 +217,572 @@ if (options.sample) {
 		}
   }
 } else {
+  if (!resumed && checkpointEvery > 0) {
+    startCheckpoint()
+  }
+  if (workerCount > 1) {
+    try {
+      await layoutInParallel()
+    } catch (err) {
+      logger.error(`The parallel layout failed.\n${err.stack || err}`)
+      process.exit()
+    }
+  } else {
+    layoutInSequence()
+  }
+
+  // Align each slice on the previous one
+  if (alignMode != "none" && vizPositions != "fixed") {
+    const alignmentStats = alignSlices(data.slices)
+    if (alignmentStats.slices > 0) {
+      logger.info(`Slices aligned on the previous one (${alignMode}). Mean rotation removed between slices: ${(alignmentStats.rotation / alignmentStats.slices * 180 / Math.PI).toFixed(2)}°${(alignMode == "similarity") ? `, mean scaling removed: ${((Math.exp(alignmentStats.scale / alignmentStats.slices) - 1) * 100).toFixed(2)}%` : ""}.`)
+    }
+  }
+
+  // Smooth trajectories
+  if (smoothing != "none" && smoothingWindow > 1) {
+    const smoothedCount = smoothTrajectories(data.slices)
+    logger.info(`Trajectories of ${smoothedCount} nodes smoothed (${smoothing}, window of ${smoothingWindow} slices).`)
+    const preventoverlap = (options.preventoverlap===undefined)?true:(options.preventoverlap.toLowerCase()=="true")
+    if (preventoverlap) {
+      data.slices.forEach((slice, i) => {
+        preventOverlapLightly(slice, getRandom(seed, `smoothing:${i}`))
+      })
+      logger.info(`Node overlap prevented again after smoothing.`)
+    }
+  }
+
+  // Save data
+  if (options.compact !== undefined) {
+    compact = (options.compact.toLowerCase()=="true")
+  }
+  const outputFile = `slices-layout.json`
+  try {
+    await saveSlices(outputFile, data, compact)
+  } catch (err) {
+    logger.error(`Error saving the slices to ${outputFile}.\n${err}`)
+    process.exit()
+  }
+  logger.info(`Slices with layout saved to: ${outputFile}${compact?" (compact format)":""}`)
+
+  // The run is complete: the checkpoint is no longer needed
+  if (fs.existsSync(checkpointFile)) {
+    fs.unlinkSync(checkpointFile)
+    logger.info(`Checkpoint ${checkpointFile} removed.`)
+  }
+}
+
+
+/// LAYOUT IN SEQUENCE
+
+// Each slice starts from the positions of the previous one
+function layoutInSequence() {
   let lastNodesIndex = {}
   data.slices.forEach((slice, i) => {
+    // Slices laid out before the checkpoint
+    if (resumed && resumed.positions[i]) {
+      lastNodesIndex = restoreSlice(slice, resumed.positions[i])
+      return
+    }
+
     if (i>0 && i%100 == 0) {
       logger.info(`Compute layout for slice ${i}/${data.slices.length}...`)
     }
+    lastNodesIndex = layoutSlice(slice, lastNodesIndex, {...layoutSettings, random: getRandom(seed, i)})
+    addToCheckpoint(i, [getSlicePositions(slice)])
+  })
+  saveCheckpoint()
+}
 
-    // Build network
-    let g = buildNetwork(slice)
-    setNodeSizes(g)
-
-    // Get positions from last time
-    g.nodes().forEach(nid => {
-      let n = g.getNodeAttributes(nid)
-      let last = lastNodesIndex[nid]
-      if (last) {
-        n.x = last.x
-        n.y = last.y
-      }
-    })
 
-    // Render layout
-    renderLayout(g, false)
+/// LAYOUT IN PARALLEL
 
-    // Update node data in slices
-    slice.nodes = g.nodes().map(nid => g.getNodeAttributes(nid))
+// Keyframes (every keyframeSpacing slices) are laid out first, one after the
+// other, each starting from the previous keyframe. Then the segments of slices
+// between keyframes are laid out in parallel by workers, each segment starting
+// from the keyframe before it. With a seed, each slice has its own random
+// stream: the layout does not depend on which worker lays out which segment.
+async function layoutInParallel() {
+  const restored = resumed ? resumed.positions : []
 
-    // Update index
-    lastNodesIndex = {}
-    g.nodes().forEach(nid => {
-      let n = g.getNodeAttributes(nid)
-      lastNodesIndex[nid] = {x:n.x, y:n.y}
-    })
+  // Keyframes
+  let keyframes = []
+  for (let i = 0; i < data.slices.length; i += keyframeSpacing) {
+    keyframes.push(i)
+  }
+  logger.info(`Compute layout for ${keyframes.length} keyframes (every ${keyframeSpacing} slices)...`)
+  let keyframeNodesIndexes = new Map()
+  let lastNodesIndex = {}
+  keyframes.forEach(i => {
+    const slice = data.slices[i]
+    if (restored[i]) {
+      lastNodesIndex = restoreSlice(slice, restored[i])
+    } else {
+      lastNodesIndex = layoutSlice(slice, lastNodesIndex, {...layoutSettings, random: getRandom(seed, i)})
+      addToCheckpoint(i, [getSlicePositions(slice)])
+    }
+    keyframeNodesIndexes.set(i, lastNodesIndex)
   })
 
-  // Save data
-  const serializedJSON = JSON.stringify(data);
-  const outputFile = `slices-layout.json`
-  fs.writeFile(outputFile, serializedJSON, (err) => {
-    if (err) throw err;
-    logger.info(`Slices with layout saved to: ${outputFile}`)
-  });
+  // Segments between keyframes (checkpointed whole)
+  let segments = []
+  keyframes.forEach(i => {
+    const from = i + 1
+    const to = Math.min(i + keyframeSpacing, data.slices.length)
+    if (from >= to) {
+      return
+    }
+    if (restored[from]) {
+      for (let j = from; j < to; j++) {
+        restoreSlice(data.slices[j], restored[j])
+      }
+      return
+    }
+    segments.push({from, slices: data.slices.slice(from, to), lastNodesIndex: keyframeNodesIndexes.get(i)})
+  })
+  const sliceCount = segments.reduce((count, segment) => count + segment.slices.length, 0)
+  if (sliceCount == 0) {
+    saveCheckpoint()
+    return
+  }
+  logger.info(`Compute layout for the ${sliceCount} slices between keyframes, with ${Math.min(workerCount, segments.length)} workers...`)
+  const workerData = {
+    settings: {...layoutSettings, logger: undefined},
+    seed,
+  }
+  let completed = 0
+  await runWorkers(segments, workerData, ({from, slices}) => {
+    data.slices.splice(from, slices.length, ...slices)
+    completed += slices.length
+    logger.info(`Slices ${from} to ${from + slices.length - 1} laid out (${completed}/${sliceCount} slices between keyframes).`)
+    addToCheckpoint(from, slices.map(getSlicePositions))
+  })
+  saveCheckpoint()
 }
 
+// Runs the segments on a pool of workers (see -layout-worker.js), and calls
+// onResult with each segment laid out, as they complete (in any order)
+function runWorkers(segments, workerData, onResult) {
+  return new Promise((resolve, reject) => {
+    let pool = []
+    let next = 0
+    let completed = 0
+    const startNext = function(worker) {
+      if (next < segments.length) {
+        worker.postMessage(segments[next++])
+      } else {
+        worker.terminate()
+      }
+    }
+    for (let w = 0; w < Math.min(workerCount, segments.length); w++) {
+      const worker = new Worker(new URL("./-layout-worker.js", import.meta.url), {workerData})
+      pool.push(worker)
+      worker.on("message", message => {
+        // Logs of the worker
+        if (message.log) {
+          logger.log(message.log, message.message)
+          return
+        }
+        onResult(message)
+        completed++
+        if (completed == segments.length) {
+          resolve()
+        }
+        startNext(worker)
+      })
+      worker.on("error", error => {
+        pool.forEach(worker => worker.terminate())
+        reject(error)
+      })
+      startNext(worker)
+    }
+  })
+}
 
-/// BUILD NETWORK
 
-function buildNetwork(slice) {
-  // Build network
-  let g = new Graph({type: "mixed", allowSelfLoops: false})
-  slice.nodes.forEach(node => {
-    g.addNode(node.id, node)
-  })
-  slice.edges.forEach(edge => {
-    g.addEdge(edge.source, edge.target, edge)
+// Union of all slices: each node and edge once (edges by id), as in the
+// first slice where it is present
+function getUnionSlice(slices) {
+  let nodesIndex = new Map()
+  let edgesIndex = new Map()
+  slices.forEach(slice => {
+    slice.nodes.forEach(node => {
+      if (!nodesIndex.has(node.id)) {
+        nodesIndex.set(node.id, {...node})
+      }
+    })
+    slice.edges.forEach(edge => {
+      const key = (edge.id === undefined) ? JSON.stringify([edge.source, edge.target]) : edge.id
+      if (!edgesIndex.has(key)) {
+        edgesIndex.set(key, {...edge})
+      }
+    })
   })
-  return g
+  return {nodes: [...nodesIndex.values()], edges: [...edgesIndex.values()]}
 }
 
 
-/// SET NODE SIZES
+/// CHECKPOINTS
+
+// The checkpoint file has one JSON object per line. The first line has the
+// input file, the settings and the anchors, and each checkpoint appends the
+// slices laid out since the previous one: a line per run of consecutive
+// slices, with the positions (x, y, size) of their nodes and the index of the
+// first ("from"). With several workers, segments complete in any order, hence
+// several runs.
+// Positions are saved before alignment and smoothing, which are redone on
+// all slices at the end. A line cut by a crash is ignored.
+
+// Settings that change the layout: all options but those of the run itself
+function getCheckpointSettings() {
+  let settings = {input: slicesFile, slices: data.slices.length}
+  Object.keys(options)
+    .filter(key => !["resume", "checkpoint", "compact", "sample"].includes(key))
+    .sort()
+    .forEach(key => {
+      settings[key] = options[key]
+    })
+  return settings
+}
+
+function startCheckpoint() {
+  if (fs.existsSync(checkpointFile)) {
+    logger.warn(`The existing checkpoint ${checkpointFile} is replaced (use --resume to continue it).`)
+  }
+  let header = {settings: getCheckpointSettings()}
+  if (anchors) {
+    header.anchors = [...anchors.entries()].map(([nid, anchor]) => [nid, anchor.x, anchor.y])
+  }
+  fs.writeFileSync(checkpointFile, JSON.stringify(header) + "\n")
+}
+
+// Adds consecutive slices laid out, and saves a checkpoint once there are
+// checkpointEvery slices since the last one
+function addToCheckpoint(from, positions) {
+  if (checkpointEvery == 0) {
+    return
+  }
+  const lastRun = checkpointPending[checkpointPending.length - 1]
+  if (lastRun && lastRun.from + lastRun.positions.length == from) {
+    lastRun.positions.push(...positions)
+  } else {
+    checkpointPending.push({from, positions})
+  }
+  const pendingCount = checkpointPending.reduce((count, run) => count + run.positions.length, 0)
+  if (pendingCount >= checkpointEvery) {
+    saveCheckpoint()
+  }
+}
 
-function setNodeSizes(g) {
-  // Set node size
+// Saves the slices laid out since the last checkpoint, if any
+function saveCheckpoint() {
+  if (checkpointPending.length == 0) {
+    return
+  }
   try {
-    const sizeMin = +options.nodesizemin || 10
-    const sizeFactor = +options.nodesizefactor || 2
-    const sizePower = +options.nodesizepower || 1
-    g.nodes().forEach(nid => {
-      let n = g.getNodeAttributes(nid)
-      n.size = Math.sqrt(sizeMin + sizeFactor * Math.pow(g.inDegree(nid), sizePower))
-    })
+    fs.appendFileSync(checkpointFile, checkpointPending.map(run => JSON.stringify(run) + "\n").join(""))
+    logger.info(`Checkpoint saved: slices ${checkpointPending.map(run => (run.positions.length == 1) ? run.from : `${run.from} to ${run.from + run.positions.length - 1}`).join(", ")} laid out.`)
   } catch (error) {
-    logger
-      .child({ context: {error:error.message} })
-      .error(`An error occurred when setting node sizes`);
-    console.log(error)
+    logger.warn(`The checkpoint could not be saved to ${checkpointFile}.\n${error.message}`)
   }
+  checkpointPending = []
 }
 
+function readCheckpoint() {
+  if (!fs.existsSync(checkpointFile)) {
+    return undefined
+  }
+  let lines = []
+  fs.readFileSync(checkpointFile, 'utf8').split("\n").forEach(line => {
+    try {
+      lines.push(JSON.parse(line))
+    } catch (error) {
+      // Line cut by a crash, or empty line
+    }
+  })
+  const header = lines.shift()
+  if (!header || !header.settings) {
+    throw new Error(`The checkpoint has no header.`)
+  }
+  if (JSON.stringify(header.settings) != JSON.stringify(getCheckpointSettings())) {
+    throw new Error(`The checkpoint was made with other settings: ${JSON.stringify(header.settings)}. Use the same input and settings, or run without --resume.`)
+  }
+  // Positions of each slice laid out (none for the others)
+  let positions = []
+  lines.forEach(line => {
+    if (Number.isInteger(line.from) && Array.isArray(line.positions) && line.from + line.positions.length <= data.slices.length) {
+      line.positions.forEach((slicePositions, j) => {
+        positions[line.from + j] = slicePositions
+      })
+    }
+  })
+  return {anchors: header.anchors, positions}
+}
 
-/// RENDER LAYOUT
+function getSlicePositions(slice) {
+  return slice.nodes.map(n => [n.x, n.y, n.size])
+}
 
-function renderLayout(g, sample) {
-  // Defaults
-  const strongergravity = (options.strongergravity===undefined)?true:(options.strongergravity.toLowerCase()=="true")
-  const gravity = +options.gravity || 0.01
-  const iterationsfactor = +options.iterationsfactor || 10
-  const barneshut = (options.barneshut===undefined)?true:(options.barneshut.toLowerCase()=="true")
-  const scaling = +options.scaling || 1
-  const linlog = (options.linlog===undefined)?true:options.linlog
-  const preventoverlap = (options.preventoverlap===undefined)?true:(options.preventoverlap.toLowerCase()=="true")
+// A slice laid out before the checkpoint gets the same edges and nodes as
+// when it was laid out. Returns the positions of its nodes, from which the
+// next slice starts.
+function restoreSlice(slice, positions) {
+  applyEdgePolicies(slice, edgePolicies)
+  let nodesIndex = {}
+  slice.nodes.forEach((node, j) => {
+    node.size = positions[j][2]
+    node.x = positions[j][0]
+    node.y = positions[j][1]
+    nodesIndex[node.id] = {x:node.x, y:node.y}
+  })
+  return nodesIndex
+}
 
-  // Steps
-  const howManyLayoutSteps = 4 + (preventoverlap?1:0)
-  try {
-    // Initial positions
-    const spreading = Math.sqrt(g.order) * 100
-    if (sample) {
-      logger.info(`Compute layout 1/${howManyLayoutSteps} - Initial positions...`)
-      
-      // Applying a random layout before starting
-      g.nodes().forEach((nid,i) => {
-        g.setNodeAttribute(nid, "x", (Math.random()-0.5)*spreading)
-        g.setNodeAttribute(nid, "y", (Math.random()-0.5)*spreading)
-      })
-    } else {
-      let nodesIndex = {}
-      g.nodes().forEach(nid => {
-        let n = g.getNodeAttributes(nid)
-        if (!n.x || !n.y) {
-          // The node has no coordinate (it was not there in the previous slice)
-          // Compute average of neighbors
-          let x = 0
-          let y = 0
-          let count = 0
-          g.forEachNeighbor(nid, (n2id, n2) => {
-            if (n2.x && n2.y) {
-              x += n2.x
-              y += n2.y
-              count++
-            }
-          })
-          if (count==0) {
-            // No neighbors had positions: we use a random position.
-            x = (Math.random()-0.5)*spreading
-            y = (Math.random()-0.5)*spreading
-          }
-          nodesIndex[nid] = {x, y}
-        }
-      })
-      for (let nid in nodesIndex) {
-        let n = g.getNodeAttributes(nid)
-        n.x = nodesIndex[nid].x
-        n.y = nodesIndex[nid].y
+
+/// ALIGN LAYOUT
+
+// Aligns each slice on the previous one (once aligned), in order. Layouts
+// start from the positions before alignment, so that they do not fight the
+// alignment (the gravity pulls back to the center): aligning after all the
+// layouts gives the same result. Returns the statistics of the global motion
+// removed between slices.
+function alignSlices(slices) {
+  let lastAlignedNodesIndex = {}
+  let lastAlignment
+  let alignmentStats = {slices: 0, rotation: 0, scale: 0}
+  slices.forEach(slice => {
+    const alignment = alignLayout(slice.nodes, lastAlignedNodesIndex, alignMode == "similarity")
+    if (alignment) {
+      // Global motion removed since the previous slice
+      if (lastAlignment) {
+        const rotation = alignment.rotation - lastAlignment.rotation
+        alignmentStats.slices++
+        alignmentStats.rotation += Math.abs(Math.atan2(Math.sin(rotation), Math.cos(rotation)))
+        alignmentStats.scale += Math.abs(Math.log(alignment.scale / lastAlignment.scale))
       }
+      lastAlignment = alignment
     }
+    lastAlignedNodesIndex = {}
+    slice.nodes.forEach(n => {
+      lastAlignedNodesIndex[n.id] = {x:n.x, y:n.y}
+    })
+  })
+  return alignmentStats
+}
 
-    if (sample) {
-      logger.info(`Layout 1/${howManyLayoutSteps} computed.`)
+// Procrustes alignment: finds the rotation and translation (and the uniform
+// scale if scaling) that best map the positions of the nodes shared with the
+// previous slice onto their previous positions (least squares), and applies
+// them to all nodes, so that only structural change remains. Reflections are
+// not allowed. Returns the rotation (radians) and scale applied, or undefined
+// if there are no shared nodes.
+function alignLayout(nodes, lastNodesIndex, scaling) {
+  let shared = []
+  nodes.forEach(n => {
+    const last = lastNodesIndex[n.id]
+    if (last) {
+      shared.push({n, last})
     }
-
-  } catch (error) {
-    logger
-      .child({ context: {error:error.message} })
-      .error(`An error occurred during the layout (1/${howManyLayoutSteps}) of the network`);
-    console.log("Error", error)
+  })
+  if (shared.length == 0) {
+    return undefined
   }
 
-  try {
-    // Rough sketch
-    if (sample) {
-      logger.info(`Compute layout 2/${howManyLayoutSteps} - Rough sketch...`)
-    }
+  // Centroids
+  let cx = 0, cy = 0, lx = 0, ly = 0
+  shared.forEach(({n, last}) => {
+    cx += n.x
+    cy += n.y
+    lx += last.x
+    ly += last.y
+  })
+  cx /= shared.length
+  cy /= shared.length
+  lx /= shared.length
+  ly /= shared.length
+
+  // Rotation and scale (closed form in 2D)
+  let a = 0, b = 0, norm = 0
+  shared.forEach(({n, last}) => {
+    const x = n.x - cx
+    const y = n.y - cy
+    const x2 = last.x - lx
+    const y2 = last.y - ly
+    a += x * x2 + y * y2
+    b += x * y2 - y * x2
+    norm += x * x + y * y
+  })
+  const rotation = (shared.length > 1 && (a != 0 || b != 0)) ? Math.atan2(b, a) : 0
+  const scale = (scaling && norm > 0 && (a != 0 || b != 0)) ? Math.sqrt(a * a + b * b) / norm : 1
+  const cos = Math.cos(rotation) * scale
+  const sin = Math.sin(rotation) * scale
+
+  nodes.forEach(n => {
+    const x = n.x - cx
+    const y = n.y - cy
+    n.x = lx + cos * x - sin * y
+    n.y = ly + sin * x + cos * y
+  })
+  return {rotation, scale}
+}
 
-    // Applying FA2 (basis)
-    forceAtlas2.assign(g, {iterations: 100*iterationsfactor, settings: {
-      linLogMode: linlog,
-      outboundAttractionDistribution: false,
-      adjustSizes: false,
-      edgeWeightInfluence: 0,
-      scalingRatio: scaling,
-      strongGravityMode: strongergravity,
-      gravity: gravity,
-      slowDown: 5,
-      barnesHutOptimize: barneshut,
-      barnesHutTheta: 1.2,
-    }});
-
-    if (sample) {
-      logger.info(`Layout 2/${howManyLayoutSteps} computed.`)
-    }
 
-  } catch (error) {
-    logger
-      .child({ context: {error:error.message} })
-      .error(`An error occurred during the layout (2/${howManyLayoutSteps}) of the network`);
-    console.log("Error", error)
+/// SMOOTH TRAJECTORIES
+
+// The trajectory of a node is its positions in consecutive slices. A node
+// that disappears and comes back has several trajectories, smoothed apart, so
+// that a node does not move towards where it will reappear. Positions fixed by
+// the GEXF are not smoothed.
+// Returns the number of nodes smoothed.
+function smoothTrajectories(slices) {
+  let trajectories = new Map() // Current trajectory of each node
+  let smoothed = new Set()
+  const endTrajectory = function(nid) {
+    const trajectory = trajectories.get(nid)
+    if (trajectory.length > 1) {
+      smoothTrajectory(trajectory)
+      smoothed.add(nid)
+    }
+    trajectories.delete(nid)
   }
+  slices.forEach((slice, i) => {
+    let present = new Set()
+    slice.nodes.forEach(n => {
+      if (vizPositions == "fixed" && n.viz && n.viz.x !== undefined && n.viz.y !== undefined) {
+        return
+      }
+      present.add(n.id)
+      if (!trajectories.has(n.id)) {
+        trajectories.set(n.id, [])
+      }
+      trajectories.get(n.id).push(n)
+    })
+    trajectories.forEach((trajectory, nid) => {
+      if (!present.has(nid)) {
+        endTrajectory(nid)
+      }
+    })
+  })
+  trajectories.forEach((trajectory, nid) => {
+    endTrajectory(nid)
+  })
+  return smoothed.size
+}
 
-  try {
-    // Refine
-    if (sample) {
-      logger.info(`Compute layout 3/${howManyLayoutSteps} - Precision pass...`)
+function smoothTrajectory(trajectory) {
+  ["x", "y"].forEach(key => {
+    const values = trajectory.map(n => n[key])
+    let smoothedValues
+    if (smoothing == "average") {
+      smoothedValues = smoothMovingAverage(values, smoothingWindow)
+    } else if (smoothing == "exponential") {
+      smoothedValues = smoothExponential(values, smoothingWindow)
+    } else {
+      smoothedValues = smoothSpline(values, smoothingWindow)
     }
+    trajectory.forEach((n, i) => {
+      n[key] = smoothedValues[i]
+    })
+  })
+}
 
-    // Refine FA2
-    forceAtlas2.assign(g, {iterations: 10*iterationsfactor, settings: {
-      linLogMode: linlog,
-      outboundAttractionDistribution: false,
-      adjustSizes: false,
-      edgeWeightInfluence: 0,
-      scalingRatio: scaling,
-      strongGravityMode: strongergravity,
-      gravity: gravity,
-      slowDown: 20,
-      barnesHutOptimize: barneshut,
-      barnesHutTheta: 0.3,
-    }});
-
-    if (sample) {
-      logger.info(`Layout 3/${howManyLayoutSteps} computed.`)
+// Centered moving average (an even window is rounded up). At the ends of the
+// trajectory, the window is cut.
+function smoothMovingAverage(values, window) {
+  const half = Math.floor(window / 2)
+  return values.map((value, i) => {
+    const from = Math.max(0, i - half)
+    const to = Math.min(values.length - 1, i + half)
+    let sum = 0
+    for (let j = from; j <= to; j++) {
+      sum += values[j]
     }
+    return sum / (to - from + 1)
+  })
+}
 
-  } catch (error) {
-    logger
-      .child({ context: {error:error.message} })
-      .error(`An error occurred during the layout (3/${howManyLayoutSteps}) of the network`);
-    console.log("Error", error)
+// Exponential smoothing with a span of the window (alpha = 2 / (window + 1)),
+// forward then backward, so that positions do not lag behind
+function smoothExponential(values, window) {
+  const alpha = 2 / (window + 1)
+  let forward = []
+  values.forEach((value, i) => {
+    forward.push((i == 0) ? value : alpha * value + (1 - alpha) * forward[i - 1])
+  })
+  let backward = []
+  for (let i = forward.length - 1; i >= 0; i--) {
+    backward[i] = (i == forward.length - 1) ? forward[i] : alpha * forward[i] + (1 - alpha) * backward[i + 1]
   }
+  return backward
+}
 
-  try {
-    // Refine
-    if (sample) {
-      logger.info(`Compute layout 4/${howManyLayoutSteps} - Slow refine (no Barnes Hut)...`);
+// Smoothing spline on the slices (Whittaker smoother): minimizes the distance
+// to the positions plus lambda times the squared second differences (the
+// curvature). Lambda is set so that the spline smooths as much as a moving
+// average of the window (same frequency at half gain).
+// The system (I + lambda D'D) z = y is pentadiagonal, and solved by a banded
+// Cholesky decomposition.
+function smoothSpline(values, window) {
+  const n = values.length
+  if (n < 3) {
+    return values.slice()
+  }
+  const lambda = 1 / (16 * Math.pow(Math.sin(1.9 / window), 4))
+
+  // Bands of D'D (D: second differences)
+  const getBand = function(i, offset) {
+    if (offset == 0) {
+      if (i == 0 || i == n - 1) { return 1 }
+      if (i == 1 || i == n - 2) { return (n == 3) ? 4 : 5 }
+      return 6
     }
-
-    // Refine FA2
-    forceAtlas2.assign(g, {iterations: 2*iterationsfactor, settings: {
-      linLogMode: linlog,
-      outboundAttractionDistribution: false,
-      adjustSizes: false,
-      edgeWeightInfluence: 0,
-      scalingRatio: scaling,
-      strongGravityMode: strongergravity,
-      gravity: gravity,
-      slowDown: 20,
-      barnesHutOptimize: false,
-      barnesHutTheta: 0.3,
-    }});
-
-    if (sample) {
-      logger.info(`Layout 4/${howManyLayoutSteps} computed.`)
+    if (offset == 1) {
+      return (i == 1 || i == n - 1) ? -2 : -4
     }
+    return 1
+  }
 
-  } catch (error) {
-    logger
-      .child({ context: {error:error.message} })
-      .error(`An error occurred during the layout (4/${howManyLayoutSteps}) of the network`);
-    console.log("Error", error)
+  // Cholesky: L has the diagonal l0, and the subdiagonals l1 and l2
+  let l0 = [], l1 = [], l2 = []
+  for (let i = 0; i < n; i++) {
+    l2[i] = (i >= 2) ? lambda * getBand(i, 2) / l0[i - 2] : 0
+    l1[i] = (i >= 1) ? (lambda * getBand(i, 1) - l2[i] * (l1[i - 1] || 0)) / l0[i - 1] : 0
+    l0[i] = Math.sqrt(1 + lambda * getBand(i, 0) - l1[i] * l1[i] - l2[i] * l2[i])
+  }
+  // L w = y, then L' z = w
+  let w = []
+  for (let i = 0; i < n; i++) {
+    w[i] = (values[i] - ((i >= 1) ? l1[i] * w[i - 1] : 0) - ((i >= 2) ? l2[i] * w[i - 2] : 0)) / l0[i]
   }
+  let z = []
+  for (let i = n - 1; i >= 0; i--) {
+    z[i] = (w[i] - ((i + 1 < n) ? l1[i + 1] * z[i + 1] : 0) - ((i + 2 < n) ? l2[i + 2] * z[i + 2] : 0)) / l0[i]
+  }
+  return z
+}
 
-  if (preventoverlap) {
-    try {
-      // Prevent node overlap
-      if (sample) {
-        logger.info(`Compute layout 5/${howManyLayoutSteps} - Prevent node overlap...`);
-      }
-  
-      noverlap.assign(g, {
-        maxIterations: 120*iterationsfactor,
-        settings: {
-          gridSize: 64,
-          margin: 0.9,
-          ratio: 1.05,
-          speed:8,
-        }
-      });
-      noverlap.assign(g, {
-        maxIterations: 80*iterationsfactor,
-        settings: {
-          gridSize: 64,
-          margin: 0.6,
-          ratio: 1.05,
-          speed:4,
-        }
-      });
-      noverlap.assign(g, {
-        maxIterations: 40*iterationsfactor,
-        settings: {
-          gridSize: 64,
-          margin: 0.3,
-          ratio: 1.05,
-          speed:1,
-        }
-      });
-  
-      if (sample) {
-        logger.info(`Layout 5/${howManyLayoutSteps} computed.`);
-      }
-  
-    } catch (error) {
-      logger
-        .child({ context: {error:error.message} })
-        .error(`An error occurred during the layout (5/${howManyLayoutSteps}) of the network`);
-      console.log("Error", error)
+// Smoothing moves nodes independently: a light noverlap (the last pass of the
+// layout) separates them again
+function preventOverlapLightly(slice, random) {
+  const iterationsfactor = +options.iterationsfactor || 10
+  let g = new Graph()
+  slice.nodes.forEach(n => {
+    g.addNode(n.id, {x: n.x, y: n.y, size: n.size})
+  })
+  assignNoverlap(g, random, {
+    maxIterations: 40*iterationsfactor,
+    settings: {
+      gridSize: 64,
+      margin: 0.3,
+      ratio: 1.05,
+      speed:1,
     }
-  }
-}
\ No newline at end of file
+  });
+  slice.nodes.forEach(n => {
+    if (vizPositions == "fixed" && n.viz && n.viz.x !== undefined && n.viz.y !== undefined) {
+      return
+    }
+    n.x = g.getNodeAttribute(n.id, "x")
+    n.y = g.getNodeAttribute(n.id, "y")
+  })
+}
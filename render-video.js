@@ -1,6 +1,9 @@
 import { Command } from 'commander';
 import { getLogger } from "./-get-logger.js"
 import * as fs from "fs";
+import { loadSlices } from "./-slices-file.js"
+import { applyEdgePolicies, getEdgePairKey, resolveEdgePolicies } from "./-edge-policies.js"
+import { getDepth } from "./-collapse-hierarchy.js"
 import Graph from "graphology";
 import { createCanvas, loadImage, ImageData } from "canvas"
 import * as d3 from 'd3';
@@ -18,6 +21,13 @@ program
   .option('-s, --sample <slice>', 'Samples a single slice as a frame. Use it to tune settings more quickly.')
   .option('-l, --limit <number>', 'Render only the first N frames. Use it to get a preview.')
   .option('-r, --reuse', 'Reuse frames already rendered (check the /frames/ folder).')
+  .option('--vizcolors <boolean>', 'Use node and edge colors from the GEXF (viz:color) when available. Default: false.')
+  .option('--vizthickness <boolean>', 'Use edge thickness from the GEXF (viz:thickness) as a factor of the edge thickness. Default: false.')
+  .option('--paralleledges <policy>', 'Parallel edges (same source and target): "keep" (drawn as distinct curves) or "merge" (one edge). Default: the policy of the slices, or keep.')
+  .option('--selfloops <policy>', 'Self-loops: "keep" (drawn as loops) or "drop". Default: the policy of the slices, or keep.')
+  .option('--recency <boolean>', 'Use edge recency (from "decaying" slices) as edge opacity, so that old edges fade out. Default: true.')
+  .option('--groups <boolean>', 'Hierarchical slices only. Draw parent nodes as groups: a disc around their children, with their label. Default: true.')
+  .option('--timelabel <boolean>', 'Display the time span of each slice (its start and end labels, formatted by slice-gexf) in the bottom left corner. Default: true.')
   .option('--fpi <number>', 'Frames per image (FPI). As the video is 30 frames per second (FPI), 1 FPI renders 30 images per second (IPS), and 10 FPI renders 3 IPS. Default: 3')
   .showHelpAfterError()
   .parse(process.argv);
@@ -33,15 +43,20 @@ const outputFilename = options.output || "video.mp4"
 
 // Load slices
 const slicesFile = options.input || "slices-layout.json"
-let slicesJson, data
+let data
 try {
-  slicesJson = fs.readFileSync(slicesFile, 'utf8');
-  data = JSON.parse(slicesJson);
+  data = await loadSlices(slicesFile)
   logger.info(`Input file loaded: ${slicesFile}. It contains ${data.slices.length} slices.`)
 } catch (err) {
   logger.error(`Error loading input file ${slicesFile}.\n${err}`)
 }
 
+// Edge policies: those of the slices, unless set
+const edgePolicies = resolveEdgePolicies(options, data, logger)
+if (!edgePolicies) {
+  process.exit()
+}
+
 // Compute max network size
 let dxmax = 0
 let dymax = 0
@@ -171,8 +186,11 @@ if (options.sample) {
 /// RENDER FRAME
 
 function renderFrame(slice) {
-  // Build network
-  let g = new Graph({type: "mixed", allowSelfLoops: false})
+  // Apply edge policies
+  applyEdgePolicies(slice, edgePolicies)
+
+  // Build network (a multigraph, in case parallel edges are kept)
+  let g = new Graph({type: "mixed", multi: true, allowSelfLoops: true})
   slice.nodes.forEach(node => {
     g.addNode(node.id, node)
   })
@@ -180,6 +198,67 @@ function renderFrame(slice) {
     g.addEdge(edge.source, edge.target, edge)
   })
 
+  // Parallel edges are spread around their straight line: each gets its rank
+  // among the edges of its pair (from -(n-1)/2 to (n-1)/2), and the direction
+  // of the pair, so that edges in both directions spread the same way
+  let pairEdges = {}
+  g.forEachEdge((eid, e) => {
+    if (e.source != e.target) {
+      const key = getEdgePairKey({source: e.source, target: e.target}, "undirected")
+      pairEdges[key] = pairEdges[key] || []
+      pairEdges[key].push(e)
+    }
+  })
+  for (let key in pairEdges) {
+    const edges = pairEdges[key]
+    if (edges.length > 1) {
+      edges.forEach((e, i) => {
+        e.parallel_rank = i - (edges.length - 1) / 2
+        e.parallel_direction = (e.source < e.target) ? 1 : -1
+      })
+    }
+  }
+
+  // Edge opacity from recency (decaying slices)
+  const recency = (options.recency===undefined)?true:(options.recency.toLowerCase()=="true")
+  if (recency && data.windowmode == "decaying") {
+    g.forEachEdge((eid, e) => {
+      if (e.recency !== undefined) {
+        e.opacity = e.recency
+      }
+    })
+  }
+
+  // Colors and thickness from the GEXF (viz), under their own keys, so that
+  // attributes named "color" or "thickness" are not taken for them
+  const vizColors = (options.vizcolors===undefined)?false:(options.vizcolors.toLowerCase()=="true")
+  const vizThickness = (options.vizthickness===undefined)?false:(options.vizthickness.toLowerCase()=="true")
+  if (vizColors) {
+    g.forEachNode((nid, n) => {
+      if (n.viz && n.viz.color) {
+        n.vizColor = n.viz.color
+      }
+    })
+    g.forEachEdge((eid, e) => {
+      if (e.viz && e.viz.color) {
+        e.vizColor = e.viz.color
+      }
+    })
+  }
+  if (vizThickness) {
+    g.forEachEdge((eid, e) => {
+      if (e.viz && isFinite(e.viz.thickness)) {
+        e.vizThickness = e.viz.thickness
+      }
+    })
+  }
+
+  // Groups: parent nodes with children in the slice (hierarchical slices)
+  const groups = (options.groups===undefined)?true:(options.groups.toLowerCase()=="true")
+  const groupsCount = groups ? setGroupRadiuses(g) : 0
+
+  const timeLabel = (options.timelabel===undefined)?true:(options.timelabel.toLowerCase()=="true")
+
   let settings = {}
 
   // Orientation & layout:
@@ -202,25 +281,40 @@ function renderFrame(slice) {
   // The settings for each layer are below.
   settings.draw_background            = true
   settings.draw_hillshading           = false
+  settings.draw_groups                = groupsCount > 0
   settings.draw_edges                 = true
   settings.draw_nodes                 = true
   settings.draw_node_labels           = true
+  settings.draw_time_label            = timeLabel && slice.startLabel !== undefined
 
   // Layer: Background
   settings.background_color = "#FFFFFF"
 
+  // Layer: Groups
+  settings.group_fill_color = "#8b9ea9"
+  settings.group_fill_alpha = 0.15 // Opacity // Range from 0 to 1
+  settings.group_stroke_width = 0.1 // in mm
+  settings.group_stroke_color = "#8b9ea9"
+  settings.group_color_original = vizColors // Use the original node color
+  settings.group_padding = 1.5 // in mm
+  settings.group_label_color = "#303040"
+  settings.group_label_font_family = "Raleway"
+  settings.group_label_font_size = 9 // in pt
+
   // Layer: Edges
   settings.max_edge_count = Infinity
   settings.edge_thickness = 0.06 // in mm
   settings.edge_alpha = 1. // Opacity // Range from 0 to 1
   settings.edge_curved = false
+  settings.edge_parallel_deviation_angle = Math.PI / 16 // in radians, between parallel edges (when kept)
+  settings.edge_loop_min_radius = 0.5 // in mm, for self-loops (when kept)
   settings.edge_high_quality = true // Halo around nodes // Time-consuming
   settings.edge_color = "#c1c5cd"
 
   // Layer: Nodes
   settings.adjust_voronoi_range = 100 // Factor // Larger node halo
   settings.node_size = 1. // Factor to adjust the nodes drawing size
-  settings.node_color_original = false // Use the original node color
+  settings.node_color_original = vizColors // Use the original node color
   settings.node_stroke_width = 0.01 // mm
   settings.node_stroke_color = "#FFFFFF"
   settings.node_fill_color = "#8b9ea9"
@@ -238,6 +332,13 @@ function renderFrame(slice) {
   settings.label_spacing_offset = 1.5 // in mm (prevents label overlap)
   settings.label_border_color = "#FFFFFF"
 
+  // Layer: Time label
+  settings.time_label = `${slice.startLabel} – ${slice.endLabel}`
+  settings.time_label_color = "#000000"
+  settings.time_label_font_family = "Raleway"
+  settings.time_label_font_size = 14 // in pt
+  settings.time_label_margin = 4 // in mm
+
   // Advanced settings
   settings.voronoi_range = 1.2 // Halo size in mm
   settings.voronoi_resolution_max = 1 * Math.pow(10, 7) // in pixel. 10^7 still quick, 10^8 better quality 
@@ -259,6 +360,34 @@ function renderFrame(slice) {
   return canvas
 }
 
+// Parent nodes with children in the slice get the radius of a disc
+// surrounding their children (and the discs of child groups), drawn by the
+// groups layer instead of the node. Returns the number of groups.
+function setGroupRadiuses(g) {
+  let children = {}
+  g.forEachNode((nid, n) => {
+    if (n.pid !== undefined && n.pid != nid && g.hasNode(n.pid)) {
+      children[n.pid] = children[n.pid] || []
+      children[n.pid].push(n)
+    }
+  })
+  // Deepest groups first, as they are part of their parent groups
+  let parents = Object.keys(children)
+  let depths = {}
+  parents.forEach(pid => {
+    depths[pid] = getDepth(g, pid)
+  })
+  parents.sort((a, b) => depths[b] - depths[a])
+  parents.forEach(pid => {
+    let p = g.getNodeAttributes(pid)
+    p.group_radius = d3.max(children[pid], n => {
+      const extent = n.group_radius || n.size || 1
+      return Math.sqrt(Math.pow(n.x - p.x, 2) + Math.pow(n.y - p.y, 2)) + extent
+    })
+  })
+  return parents.length
+}
+
 
 /// RENDERER
 
@@ -295,6 +424,13 @@ function newRenderer(){
       )
     }
     
+    // Draw groups
+    if (ns.settings.draw_groups) {
+      layeredImage = ns.drawLayerOnTop(layeredImage,
+        ns.drawGroupsLayer(ns.settings)
+      )
+    }
+
     // Draw edges
     if (ns.settings.draw_edges) {
       layeredImage = ns.drawLayerOnTop(layeredImage,
@@ -316,6 +452,13 @@ function newRenderer(){
       )
     }
 
+    // Draw time label
+    if (ns.settings.draw_time_label) {
+      layeredImage = ns.drawLayerOnTop(layeredImage,
+        ns.drawTimeLabelLayer(ns.settings)
+      )
+    }
+
     // Merge on background
     layeredImage = ns.overlayLayer(
       bgImage,
@@ -361,9 +504,11 @@ function newRenderer(){
     // Decide which layers are drawn.
     // The settings for each layer are below.
     settings.draw_background = (settings.draw_background === undefined)?(true):(settings.draw_background)
+    settings.draw_groups = (settings.draw_groups === undefined)?(false):(settings.draw_groups)
     settings.draw_edges = (settings.draw_edges === undefined)?(true):(settings.draw_edges)
     settings.draw_nodes = (settings.draw_nodes === undefined)?(true):(settings.draw_nodes)
     settings.draw_node_labels = (settings.draw_node_labels === undefined)?(true):(settings.draw_node_labels)
+    settings.draw_time_label = (settings.draw_time_label === undefined)?(false):(settings.draw_time_label)
     // (end of default settings)
 
     // Make it sure that the image dimension divides nicely in tiles
@@ -875,6 +1020,81 @@ function newRenderer(){
     return ctx.getImageData(0, 0, ctx.canvas.width, ctx.canvas.height)
   }
 
+  ns.drawTimeLabelLayer = function(options) {
+    options = options || {}
+    options.time_label = options.time_label || ""
+    options.time_label_color = options.time_label_color || "#000"
+    options.time_label_font_family = options.time_label_font_family || 'Raleway'
+    options.time_label_font_size = options.time_label_font_size || 14 // In pt
+    options.time_label_margin = (options.time_label_margin===undefined)?(4):(options.time_label_margin) // In mm
+    var dim = ns.getRenderingPixelDimensions()
+    var ctx = ns.createCanvas().getContext("2d")
+    ns.scaleContext(ctx)
+
+    ctx.font = ns.buildContextFontString(400, ns.pt_to_px(options.time_label_font_size), options.time_label_font_family)
+    ctx.textAlign = "left"
+    ctx.textBaseline = "bottom"
+    ctx.fillStyle = options.time_label_color
+    ctx.fillText(
+      options.time_label
+    , ns.mm_to_px(options.time_label_margin)
+    , dim.h - ns.mm_to_px(options.time_label_margin)
+    )
+
+    return ctx.getImageData(0, 0, ctx.canvas.width, ctx.canvas.height)
+  }
+
+  ns.drawGroupsLayer = function(options) {
+    options = options || {}
+    options.group_fill_color = options.group_fill_color || "#8b9ea9"
+    options.group_fill_alpha = (options.group_fill_alpha===undefined)?(0.15):(options.group_fill_alpha)
+    options.group_stroke_width = (options.group_stroke_width===undefined)?(0.1):(options.group_stroke_width) // In mm
+    options.group_stroke_color = options.group_stroke_color || "#8b9ea9"
+    options.group_color_original = (options.group_color_original===undefined)?(false):(options.group_color_original)
+    options.group_padding = (options.group_padding===undefined)?(1.5):(options.group_padding) // In mm
+    options.group_label_color = options.group_label_color || "#303040"
+    options.group_label_font_family = options.group_label_font_family || 'Raleway'
+    options.group_label_font_size = options.group_label_font_size || 9 // In pt
+
+    var g = ns.g
+    var ctx = ns.createCanvas().getContext("2d")
+    ns.scaleContext(ctx)
+
+    // Largest groups first, so that nested groups are drawn on top
+    var groups = g.nodes().filter(nid => g.getNodeAttribute(nid, 'group_radius'))
+    groups.sort((a, b) => g.getNodeAttribute(b, 'group_radius') - g.getNodeAttribute(a, 'group_radius'))
+
+    var padding = ns.mm_to_px(options.group_padding)
+    groups.forEach(function(nid){
+      var n = g.getNodeAttributes(nid)
+      var color = (options.group_color_original && n.vizColor) ? n.vizColor : options.group_fill_color
+      var radius = n.group_radius + padding
+
+      ctx.beginPath()
+      ctx.arc(n.x, n.y, radius, 0, 2 * Math.PI, false)
+      ctx.globalAlpha = options.group_fill_alpha
+      ctx.fillStyle = color.toString()
+      ctx.fill()
+      ctx.globalAlpha = 1
+      if (options.group_stroke_width > 0) {
+        ctx.lineWidth = ns.mm_to_px(options.group_stroke_width)
+        ctx.strokeStyle = (options.group_color_original && n.vizColor) ? n.vizColor.toString() : options.group_stroke_color
+        ctx.stroke()
+      }
+
+      // Label above the disc
+      if (n.label) {
+        ctx.font = ns.buildContextFontString(600, ns.pt_to_px(options.group_label_font_size), options.group_label_font_family)
+        ctx.textAlign = "center"
+        ctx.textBaseline = "bottom"
+        ctx.fillStyle = options.group_label_color
+        ctx.fillText(n.label, n.x, n.y - radius - 0.5 * padding)
+      }
+    })
+
+    return ctx.getImageData(0, 0, ctx.canvas.width, ctx.canvas.height)
+  }
+
   ns.getNodeSizeExtent = function() {
     // Cache
     if (ns._nodeSizeExtent) {
@@ -1191,6 +1411,8 @@ function newRenderer(){
     options.edge_color = options.edge_color || "#303040"
     options.edge_curved = (options.edge_curved===undefined)?(true):(options.edge_curved)
     options.edge_curvature_deviation_angle = options.edge_curvature_deviation_angle || Math.PI / 12 // in radians
+    options.edge_parallel_deviation_angle = (options.edge_parallel_deviation_angle===undefined)?(Math.PI / 16):(options.edge_parallel_deviation_angle) // in radians, between parallel edges
+    options.edge_loop_min_radius = (options.edge_loop_min_radius===undefined)?(0.5):(options.edge_loop_min_radius) // in mm
     options.edge_high_quality = options.edge_high_quality || false
     options.edge_path_jitter = (options.edge_path_jitter === undefined)?(0.00):(options.edge_path_jitter) // in mm
     options.edge_path_segment_length = options.edge_high_quality?.2:2 // in mm
@@ -1309,6 +1531,33 @@ function newRenderer(){
           var n_t = g.getNodeAttributes(g.target(eid))
           var path, i, x, y, o, dpixi, lastdpixi, lasto, pixi, pi
           var edgeOpacity = (g.getEdgeAttribute(eid, 'opacity')===undefined)?(1.):(g.getEdgeAttribute(eid, 'opacity'))
+          var edgeColor = color
+          if (g.getEdgeAttribute(eid, 'vizColor') !== undefined) {
+            edgeColor = d3.color(g.getEdgeAttribute(eid, 'vizColor'))
+            edgeOpacity *= edgeColor.opacity
+          }
+          var edgeThickness = thickness * ((g.getEdgeAttribute(eid, 'vizThickness')===undefined)?(1.):(g.getEdgeAttribute(eid, 'vizThickness')))
+
+          // Self-loop: a circle going through the node, above right of it
+          if (g.source(eid) == g.target(eid)) {
+            var loopRadius = Math.max(n_s.size, ns.mm_to_px(options.edge_loop_min_radius))
+            edgeColor.opacity = edgeOpacity
+            ctx.lineWidth = edgeThickness
+            ctx.beginPath()
+            ctx.strokeStyle = edgeColor.toString()
+            ctx.arc(n_s.x + loopRadius * Math.SQRT1_2, n_s.y - loopRadius * Math.SQRT1_2, loopRadius, 0, 2 * Math.PI, false)
+            ctx.stroke()
+            ctx.closePath()
+            return
+          }
+
+          // Curvature: that of curved edges, and a deviation for parallel edges
+          var deviation = options.edge_curved ? options.edge_curvature_deviation_angle : 0
+          var parallelRank = g.getEdgeAttribute(eid, 'parallel_rank')
+          if (parallelRank) {
+            deviation += parallelRank * g.getEdgeAttribute(eid, 'parallel_direction') * options.edge_parallel_deviation_angle
+          }
+          deviation = Math.max(-Math.PI / 4, Math.min(Math.PI / 4, deviation)) // Beyond, the arc is not defined
 
           // Build path
           var d = Math.sqrt(Math.pow(n_s.x - n_t.x, 2) + Math.pow(n_s.y - n_t.y, 2))
@@ -1317,8 +1566,8 @@ function newRenderer(){
           var segCount = Math.ceil(d/iPixStep)
           pi = 0
           path = new Int32Array(3*segCount)
-          if (options.edge_curved) {
-            let H = d / (2 * Math.tan(options.edge_curvature_deviation_angle))
+          if (deviation != 0) {
+            let H = d / (2 * Math.tan(deviation))
             let offset
             for (i=0; i<1; i+=iPixStep/d) {
               offset = H * (Math.sqrt(1 - ( (1-i) * i * Math.pow(d/H,2) )) - 1)
@@ -1392,10 +1641,10 @@ function newRenderer(){
             o = path[i+2]/255
 
             if (lastx) {
-              ctx.lineWidth = thickness * (0.9 + 0.2*Math.random())
-              color.opacity = edgeOpacity*(lasto+o)/2
+              ctx.lineWidth = edgeThickness * (0.9 + 0.2*Math.random())
+              edgeColor.opacity = edgeOpacity*(lasto+o)/2
               ctx.beginPath()
-              ctx.strokeStyle = color.toString()
+              ctx.strokeStyle = edgeColor.toString()
               ctx.moveTo(lastx, lasty)
               ctx.lineTo(x, y)
               ctx.stroke()
@@ -1424,7 +1673,8 @@ function newRenderer(){
     var g = ns.g
 
     // Order nodes by size to draw with the right priority
-    var nodesBySize = g.nodes().slice(0)
+    // (groups are drawn by their own layer)
+    var nodesBySize = g.nodes().filter(nid => !g.getNodeAttribute(nid, 'group_radius'))
     // We sort nodes by 1) size and 2) left to right
     nodesBySize.sort(function(naid, nbid){
       var na = g.getNodeAttributes(naid)
@@ -1567,7 +1817,7 @@ function newRenderer(){
     options = options || {}
     
     if (options.node_color_original) {
-      return n.color || options.node_fill_color
+      return n.vizColor || options.node_fill_color
     } else {
       return options.node_fill_color
     }
@@ -1852,6 +2102,9 @@ function newRenderer(){
       n.x = m.l + (dim.w-m.r-m.l) / 2 + (n.x - xcenter) * ratio
       n.y = m.t + (dim.h-m.t-m.b) / 2 + (n.y - ycenter) * ratio
       n.size *= ratio
+      if (n.group_radius) {
+        n.group_radius *= ratio
+      }
     })
   }
 
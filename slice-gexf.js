@@ -1,8 +1,18 @@
 import { Command } from 'commander';
-import { DOMParser } from 'xmldom';
-import { readFileSync } from 'fs';
 import { getLogger } from "./-get-logger.js"
-import * as fs from "fs";
+import { readGexfHeader, streamGexf } from "./-gexf-stream.js"
+import { readCsvHeader, streamCsv } from "./-csv-stream.js"
+import { isSnapshotsInput, listSnapshots, readSnapshotsHeader, streamSnapshots } from "./-snapshots.js"
+import { buildSliceIndex } from "./-slice-index.js"
+import { castAttributeValue } from "./-attribute-types.js"
+import { parseCalendarDuration, formatCalendarDuration, floorToCalendarUnit, addCalendarDuration, isValidTimeZone, parseDateTime, formatDate, formatDateTime } from "./-calendar.js"
+import { saveSlices } from "./-slices-file.js"
+import { compileFilter } from "./-filter-expression.js"
+import { pruneSlice } from "./-prune-slice.js"
+import { collapseSlice, getAncestors } from "./-collapse-hierarchy.js"
+import { applyEdgePolicies, resolveEdgePolicies, getEdgePairKey } from "./-edge-policies.js"
+import { validateGexf } from "./-validate-gexf.js"
+import { loadAliasTable, renameNodeElement, renameEdgeElement, mergeNodes } from "./-aliases.js"
 
 // CLI logic
 let program, options
@@ -10,9 +20,45 @@ program = new Command();
 program
 	.name('slice-gexf')
 	.description('Slice a GEXF over time')
-  .requiredOption('-i, --input <file>', 'GEXF file input (required)')
-  .option('-r, --range <number>', 'Temporal range (window) for each slice. In seconds or unitless depending on the time format of the GEXF. Defaults to 1 week (7*24*60*60 seconds) or 1.')
-  .option('-s, --step <number>', 'How much time passes from one slice to the next. In seconds or unitless depending on the time format of the GEXF. Defaults to 1 day (24*60*60 seconds) or 0.1.')
+  .requiredOption('-i, --input <file>', 'GEXF file input (required), or CSV temporal edge list (one row per edge), or folder or glob pattern (such as "data/snapshot-*.gexf") of static GEXF snapshots')
+  .option('-f, --format <format>', 'Input format: "gexf", "csv" or "snapshots". Defaults to "snapshots" for a folder or a glob pattern, "csv" for .csv and .tsv files, "gexf" otherwise.')
+  .option('-r, --range <number>', 'Temporal range (window) for each slice. In seconds or unitless depending on the time format of the GEXF, or a calendar duration for dates ("day", "week", "month", "quarter", "year", or for instance "3 months"). Defaults to 1 week (7*24*60*60 seconds) or 1.')
+  .option('-s, --step <number>', 'How much time passes from one slice to the next. In seconds or unitless depending on the time format of the GEXF, or a calendar duration for dates (slices are then aligned on calendar boundaries). Defaults to 1 day (24*60*60 seconds) or 0.1.')
+  .option('-e, --events-per-slice <number>', 'Equal-activity slicing: instead of fixed windows (--range and --step), cut slices so that each contains this number of events (see --events). Slices follow one another and keep the actual time they cover.')
+  .option('--events <type>', 'Equal-activity slicing only. Events counted: "edges" (edge appearances) or "elements" (node and edge appearances). Default: edges.')
+  .option('-k, --keyframes', 'Keyframe slicing, for timestamps only: instead of a regular grid of windows, a slice at every distinct time at which the graph changes. Without --range, each slice goes from a change to the next. With --range, each slice is the window of that range ending at a change (elements appear at their timestamp and disappear a range later).')
+  .option('--tolerance <number>', 'Keyframe slicing only. Changes closer than this to the previous keyframe are merged into the next keyframe. In seconds or unitless depending on the time format. Default: 0.')
+  .option('-w, --window <mode>', 'Window mode: "sliding" (each slice covers its range), "cumulative" (each slice covers everything from the start up to its end) or "decaying" (sliding, and edges get a "recency" weight decaying with their age in the slice). Default: sliding.')
+  .option('--half-life <number>', 'Decaying window mode only. Age at which edge recency is 0.5. In seconds or unitless depending on the time format of the GEXF. Defaults to half the range of the slice.')
+  .option('--start <time>', 'Start of the first slice, in the time format of the GEXF. Defaults to the earliest time found.')
+  .option('--end <time>', 'No slice ends after this time, in the time format of the GEXF. Defaults to the latest time found.')
+  .option('--node-time <attribute>', 'Static GEXF or CSV only. Node attribute (id or title) or column holding the time of each node, or its start time if --node-time-end is set.')
+  .option('--node-time-end <attribute>', 'Static GEXF or CSV only. Node attribute (id or title) or column holding the end time of each node.')
+  .option('--edge-time <attribute>', 'Static GEXF or CSV only. Edge attribute (id or title) or column holding the time of each edge, or its start time if --edge-time-end is set. For CSV, defaults to the first "timestamp", "time", "date" or "start" column.')
+  .option('--edge-time-end <attribute>', 'Static GEXF or CSV only. Edge attribute (id or title) or column holding the end time of each edge. For CSV, defaults to the "end" column if the start is "start".')
+  .option('--aliases <file>', 'Alias table merging node ids into canonical nodes: CSV or TSV file with an "alias" and an "id" column (the canonical id), and optionally a "label" column. Aliases are renamed with their edges, and nodes merged into the same id in a slice keep the values of the first one found, completed by the others.')
+  .option('--node-filter <expression>', 'Keep only the nodes matching this expression in each slice, for instance \'country == "FR" and score >= 3\'. It uses attribute ids or titles, id and label, and is evaluated in each slice with the values of dynamic attributes. See the README for the syntax.')
+  .option('--edge-filter <expression>', 'Keep only the edges matching this expression in each slice, for instance \'kind in ("reply", "mention")\'. It uses attribute ids or titles, id, source, target, type, kind, weight and recency.')
+  .option('--min-degree <number>', 'Pruning: in each slice, remove the nodes with a degree under this number (see --degree-type).')
+  .option('--degree-type <type>', 'Pruning: degree compared to --min-degree: "in", "out" or "total". Undirected edges count as in and out. Default: total.')
+  .option('--k-core <k>', 'Pruning: reduce each slice to its k-core (nodes with at least k edges within the core).')
+  .option('--giant-component', 'Pruning: reduce each slice to its largest connected component (edge direction ignored).')
+  .option('--parallel-edges <policy>', 'Parallel edges (same source and target) in a slice: "keep" (multigraph) or "merge" (one edge, with the sum of their weights and their number as "merged"). Default: keep.')
+  .option('--self-loops <policy>', 'Self-loops (edges from a node to itself): "keep" or "drop". Default: keep.')
+  .option('--hierarchy-level <level>', 'Hierarchical GEXF only (nested nodes or pid). Collapse each slice to this level of the hierarchy (0 for nodes without parent): deeper nodes are merged into their ancestor at that level, and their edges are aggregated.')
+  .option('--timezone <zone>', 'Time zone of dates: "UTC" or an IANA time zone such as "Europe/Paris". Times without an offset are read in this zone, calendar windows are aligned on its days, and slice labels are formatted in it. Default: UTC.')
+  .option('--timeformat <format>', 'Time format: "date", "dateTime", "integer" or "double". Defaults to the time format of the GEXF, or else is guessed from the type of the time attributes.')
+  .option('--snapshot-index <file>', 'Snapshots only. CSV or TSV file with a "file" and a "time" column giving the time of each snapshot (files relative to the index). Defaults to times found in file names.')
+  .option('--snapshot-time-pattern <regex>', 'Snapshots only. Regular expression finding the time in file names (its first group, or else the whole match). Defaults to the first date (YYYY-MM-DD), or else the first number.')
+  .option('--nodes <file>', 'CSV only. Node table (one row per node). Without it, nodes are the sources and targets of edges.')
+  .option('--delimiter <character>', 'CSV only. Column delimiter. Defaults to tab for .tsv files, comma otherwise.')
+  .option('--source-column <column>', 'CSV only. Column of edge sources. Default: source.')
+  .option('--target-column <column>', 'CSV only. Column of edge targets. Default: target.')
+  .option('--id-column <column>', 'CSV only. Column of edge ids (row numbers if missing). Default: id.')
+  .option('--node-id-column <column>', 'CSV only. Column of node ids in the node table. Default: id.')
+  .option('--label-column <column>', 'CSV only. Column of node labels in the node table (ids if missing). Default: label.')
+  .option('--validate', 'GEXF only. Check the GEXF before slicing it, and log the issues found as warnings. It takes two extra passes over the file, and keeps the lifetime of every node in memory. See validate-gexf for a detailed report.')
+  .option('-c, --compact', 'Save slices in the compact format (each slice stored as its differences with the previous one). Use it for large or long networks.')
   .showHelpAfterError()
   .parse(process.argv);
 
@@ -22,69 +68,214 @@ options = program.opts();
 const logger = getLogger(`log/${program.name()}.log`)
 logger.level = "debug"
 
-// Parse GEXF
-const xmlFile = readFileSync(options.input, 'utf8');
-const parser = new DOMParser();
-const doc = parser.parseFromString(xmlFile);
-const gexfDomnode = doc.getElementsByTagName("gexf").item(0)
-const gexfVersion = gexfDomnode.getAttribute("version")
-const graphDomnode = gexfDomnode.getElementsByTagName("graph").item(0)
-const nodesDomnode = graphDomnode.getElementsByTagName("nodes").item(0)
-const nodeDomnodes = nodesDomnode.getElementsByTagName("node")
-const edgesDomnode = graphDomnode.getElementsByTagName("edges").item(0)
-const edgeDomnodes = edgesDomnode.getElementsByTagName("edge")
+// Input format
+let inputFormat = options.format
+if (!inputFormat) {
+  if (isSnapshotsInput(options.input)) {
+    inputFormat = "snapshots"
+  } else if (/\.(csv|tsv)$/i.test(options.input)) {
+    inputFormat = "csv"
+  } else {
+    inputFormat = "gexf"
+  }
+}
+if (inputFormat != "gexf" && inputFormat != "csv" && inputFormat != "snapshots") {
+  logger.error(`The input format "${inputFormat}" is not supported. Use "gexf", "csv" or "snapshots".`)
+  process.exit()
+}
+const csvSettings = {
+  nodes: options.nodes,
+  delimiter: options.delimiter,
+  sourceColumn: options.sourceColumn,
+  targetColumn: options.targetColumn,
+  idColumn: options.idColumn,
+  nodeIdColumn: options.nodeIdColumn,
+  labelColumn: options.labelColumn,
+}
+
+// Alias table
+let aliasTable
+if (options.aliases) {
+  try {
+    aliasTable = loadAliasTable(options.aliases)
+  } catch (error) {
+    logger.error(`Error reading the alias table ${options.aliases}.\n${error.message}`)
+    process.exit()
+  }
+  logger.info(`Alias table loaded: ${aliasTable.aliases.size} aliases of ${new Set(aliasTable.aliases.values()).size} nodes.`)
+}
+
+// Parse GEXF header
+// The GEXF is streamed rather than loaded as a DOM, so that large files fit in
+// memory. The file is read in several passes: header and attributes, then time
+// range, then nodes and edges sorted into slices.
+// A CSV is read the same way, as a static graph whose attributes are columns.
+// Snapshots are read one after the other, as a dynamic GEXF whose timestamps
+// are the times of the snapshots.
+let header, snapshots
+try {
+  if (inputFormat == "csv") {
+    header = await readCsvHeader(options.input, csvSettings)
+  } else if (inputFormat == "snapshots") {
+    snapshots = listSnapshots(options.input, {index: options.snapshotIndex, timePattern: options.snapshotTimePattern})
+    header = await readSnapshotsHeader(snapshots)
+  } else {
+    header = await readGexfHeader(options.input)
+  }
+} catch (error) {
+  logger.error(`Error reading input file ${options.input}.\n${error.message}`)
+  process.exit()
+}
+const gexfVersion = header.version
+const graphAttributes = header.graph
+function streamInput(handlers) {
+  if (aliasTable) {
+    // Aliases are renamed as they are read
+    const {node, edge} = handlers
+    handlers = {
+      ...handlers,
+      node: node && (nodeElement => node(renameNodeElement(nodeElement, aliasTable.aliases))),
+      edge: edge && (edgeElement => edge(renameEdgeElement(edgeElement, aliasTable.aliases))),
+    }
+  }
+  if (inputFormat == "csv") {
+    return streamCsv(options.input, handlers, csvSettings)
+  } else if (inputFormat == "snapshots") {
+    return streamSnapshots(snapshots, handlers)
+  }
+  return streamGexf(options.input, handlers)
+}
 
 
 /// CHECKS
 
 // Check GEXF version
-if (gexfVersion !== "1.3") {
+if (inputFormat != "csv" && gexfVersion !== "1.3") {
   logger.warn(`GEXF version is ${gexfVersion}. Current code is designed for version 1.3, so this version might not be supported.`)
 }
 
-// Check if dynamic
-if (graphDomnode.getAttribute("mode") !== "dynamic") {
-  logger.error(`The GEXF is not dynamic, which is currently not supported. GEXF mode: ${graphDomnode.getAttribute("mode") || "static"}.`)
-  process.exit()
+// Check snapshots
+if (inputFormat == "snapshots") {
+  logger.info(`${snapshots.length} snapshots found, from ${snapshots[0].file} to ${snapshots[snapshots.length-1].file}.`)
+  header.conflicts.forEach(({attClass, attObj, file}) => {
+    logger.warn(`The ${attClass} attribute "${attObj.id}" has type "${attObj.type}" in ${file}, but another type in a previous snapshot. The first type is used.`)
+  })
+  if (header.dynamicSnapshots.length > 0) {
+    logger.warn(`${header.dynamicSnapshots.length} snapshots are dynamic GEXF files. Their own times are ignored: each snapshot is the state of the network at its time.`)
+  }
+}
+
+// Default time columns of a CSV
+if (inputFormat == "csv" && !options.nodeTime && !options.nodeTimeEnd && !options.edgeTime && !options.edgeTimeEnd) {
+  if (header.timeColumns) {
+    options.edgeTime = header.timeColumns.start
+    options.edgeTimeEnd = header.timeColumns.end
+  } else {
+    logger.error(`No time column found in ${options.input}. Set it with --edge-time (or --node-time, with a node table).`)
+    process.exit()
+  }
+}
+
+// Register which attributes are dynamic or static
+let nodeAttributes = {}
+let edgeAttributes = {}
+header.attributes.forEach(({attObj, attClass}) => {
+  if (graphAttributes.mode !== "dynamic" && !attObj.mode) {
+    // Attributes of a static GEXF are static
+    attObj.mode = "static"
+  }
+  if (attClass == "node") {
+    nodeAttributes[attObj.id] = attObj
+  } else if (attClass == "edge") {
+    edgeAttributes[attObj.id] = attObj
+  }
+  logger.debug(`Found ${attObj.mode} ${attClass} attribute "${attObj.id}". Type: ${attObj.type}. Title: ${attObj.title}.`)
+})
+
+// Check if dynamic, or else if time is read from attributes
+let timeAttributes
+if (graphAttributes.mode !== "dynamic") {
+  if (options.nodeTime || options.nodeTimeEnd || options.edgeTime || options.edgeTimeEnd) {
+    logger.info(`The ${inputFormat=="csv"?"CSV":"GEXF"} is static. Time is read from attributes.`)
+    timeAttributes = {
+      node: findTimeAttributes(nodeAttributes, "node", options.nodeTime, options.nodeTimeEnd),
+      edge: findTimeAttributes(edgeAttributes, "edge", options.edgeTime, options.edgeTimeEnd),
+    }
+  } else {
+    logger.error(`The GEXF is not dynamic. GEXF mode: ${graphAttributes.mode || "static"}. To slice a static GEXF, set the attributes holding time with --node-time and/or --edge-time.`)
+    process.exit()
+  }
+} else if (options.nodeTime || options.nodeTimeEnd || options.edgeTime || options.edgeTimeEnd) {
+  logger.warn(`The GEXF is dynamic: time attributes (--node-time, --edge-time...) are ignored.`)
+}
+
+// Find the attributes holding start and end time, by id or else by title
+function findTimeAttributes(attributes, attClass, startName, endName) {
+  if (!startName && !endName) {
+    return undefined
+  }
+  if (!startName) {
+    logger.error(`An end time attribute is set for ${attClass}s, but no start time attribute (--${attClass}-time).`)
+    process.exit()
+  }
+  const findAttribute = function(name) {
+    const attObj = attributes[name] || Object.values(attributes).find(attObj => attObj.title == name)
+    if (!attObj) {
+      logger.error(`The ${attClass} attribute "${name}" is not declared in the GEXF.`)
+      process.exit()
+    }
+    logger.info(`Time of ${attClass}s is read from attribute "${attObj.id}" (${attObj.title}).`)
+    return attObj.id
+  }
+  return {
+    start: findAttribute(startName),
+    end: endName ? findAttribute(endName) : undefined,
+  }
 }
 
 // Check which time format to use
-const timeformat = graphDomnode.getAttribute("timeformat")
+let timeformat = options.timeformat || graphAttributes.timeformat
+if (!timeformat && timeAttributes) {
+  // Guess from the type of the time attribute
+  const timeAttObj = timeAttributes.node ? nodeAttributes[timeAttributes.node.start] : edgeAttributes[timeAttributes.edge.start]
+  if (timeAttObj.type == "date" || timeAttObj.type == "dateTime") {
+    timeformat = timeAttObj.type
+  } else if (timeAttObj.type == "float" || timeAttObj.type == "double" || timeAttObj.type == "bigdecimal") {
+    timeformat = "double"
+  } else if (timeAttObj.type == "integer" || timeAttObj.type == "long" || timeAttObj.type == "short" || timeAttObj.type == "byte" || timeAttObj.type == "biginteger") {
+    timeformat = "integer"
+  } else {
+    logger.error(`The time attribute "${timeAttObj.id}" has type "${timeAttObj.type}", from which the time format cannot be guessed. Set it with --timeformat.`)
+    process.exit()
+  }
+}
+// Time zone of dates (parsing, calendar windows and labels do not depend on
+// the machine running the script)
+const timeZone = options.timezone || "UTC"
+if (!isValidTimeZone(timeZone)) {
+  logger.error(`The time zone "${timeZone}" is not supported. Use "UTC" or an IANA time zone such as "Europe/Paris".`)
+  process.exit()
+}
+if (options.timezone !== undefined && timeformat != "date" && timeformat != "dateTime") {
+  logger.warn(`The time zone is only used with the "date" and "dateTime" time formats.`)
+}
+
 let timeParser, timeFormatter
 if (timeformat == "date") {
-  logger.info(`GEXF time format is "date". Expecting time formatted as "YYYY-MM-DD".`)
+  logger.info(`GEXF time format is "date". Expecting time formatted as "YYYY-MM-DD". Time zone: ${timeZone}.`)
   timeParser = function(date) {
-    const msec = Date.parse(date)
-    return msec
+    return parseDateTime(date, timeZone)
   }
   timeFormatter = function(msec) {
-    const date = new Date(msec)
-    const year = date.getFullYear()
-    const month = String(date.getMonth() + 1).padStart(2, '0')
-    const day = String(date.getDate()).padStart(2, '0')
-    return `${year}-${month}-${day}`
+    return formatDate(msec, timeZone)
   }
 } else if (timeformat == "dateTime") {
-  logger.info(`GEXF time format is "dateTime". Expecting time formatted as "YYYY-MM-DDTHH:mm:ss.sssZ".`)
+  logger.info(`GEXF time format is "dateTime". Expecting time formatted as "YYYY-MM-DDTHH:mm:ss.sssZ". Time zone: ${timeZone}.`)
   timeParser = function(datetime) {
-    const msec = Date.parse(datetime)
-    return msec
+    return parseDateTime(datetime, timeZone)
   }
   timeFormatter = function(msec) {
-    const date = new Date(msec)
-    const year = date.getFullYear()
-    const month = String(date.getMonth() + 1).padStart(2, '0')
-    const day = String(date.getDate()).padStart(2, '0')
-    const hours = String(date.getHours()).padStart(2, '0')
-    const minutes = String(date.getMinutes()).padStart(2, '0')
-    const seconds = String(date.getSeconds()).padStart(2, '0')
-    const millisecondsFormatted = String(date.getMilliseconds()).padStart(3, '0')
-    const timezoneOffset = date.getTimezoneOffset()
-    const timezoneOffsetSign = timezoneOffset > 0 ? '-' : '+'
-    const timezoneOffsetHours = String(Math.abs(Math.floor(timezoneOffset / 60))).padStart(2, '0')
-    const timezoneOffsetMinutes = String(Math.abs(timezoneOffset % 60)).padStart(2, '0')
-    const timezoneOffsetFormatted = timezoneOffsetSign + timezoneOffsetHours + ':' + timezoneOffsetMinutes
-    return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}.${millisecondsFormatted}${timezoneOffsetFormatted}`
+    return formatDateTime(msec, timeZone)
   }
 } else if (timeformat == "integer" || timeformat == "") {
   logger.info(`GEXF time format is "integer". Expecting time formatted as a natural number.`)
@@ -107,9 +298,30 @@ if (timeformat == "date") {
   process.exit()
 }
 
+// Order snapshots by time, so that they are read in that order
+if (inputFormat == "snapshots") {
+  snapshots.forEach(snapshot => {
+    snapshot.date = timeParser(snapshot.time)
+    if (isNaN(snapshot.date)) {
+      logger.error(`The time "${snapshot.time}" of the snapshot ${snapshot.file} is not a valid ${timeformat}.`)
+      process.exit()
+    }
+  })
+  snapshots.sort((a, b) => a.date - b.date)
+}
+
 // Check time representation
-const timerepresentation = graphDomnode.getAttribute("timerepresentation")
+let timerepresentation = graphAttributes.timerepresentation
+if (timeAttributes) {
+  // Start and end attributes make intervals, a single attribute makes timestamps
+  if ((timeAttributes.node && timeAttributes.node.end) || (timeAttributes.edge && timeAttributes.edge.end)) {
+    timerepresentation = "interval"
+  } else {
+    timerepresentation = "timestamp"
+  }
+}
 if (timerepresentation == "interval" || timerepresentation == "") {
+  timerepresentation = "interval"
   logger.debug(`GEXF time representation is "interval".`)
 } else if (timerepresentation == "timestamp") {
   logger.debug(`GEXF time representation is "timestamp".`)
@@ -118,87 +330,102 @@ if (timerepresentation == "interval" || timerepresentation == "") {
   process.exit()
 }
 
-// Register which attributes are dynamic or static
-let nodeAttributes = {}
-let edgeAttributes = {}
-const attributesDomnodes = graphDomnode.getElementsByTagName("attributes")
-for (let i=0; i<attributesDomnodes.length; i++) {
-  const attributesDomnode = attributesDomnodes.item(i)
-  const attClass = attributesDomnode.getAttribute("class")
-  const attMode = attributesDomnode.getAttribute("mode")
-  const attributeDomnodes = attributesDomnode.getElementsByTagName("attribute")
-  for (let j=0; j<attributeDomnodes.length; j++) {
-    const attributeDomnode = attributeDomnodes.item(j)
-    let attObj = {}
-    attObj.id = attributeDomnode.getAttribute("id")
-    attObj.title = attributeDomnode.getAttribute("title")
-    attObj.type = attributeDomnode.getAttribute("type")
-    if (attributeDomnode.getElementsByTagName("default") && attributeDomnode.getElementsByTagName("default").length > 0){
-      attObj.default = attributeDomnode.getElementsByTagName("default").item(0).textContent
-    }
-    attObj.mode = attMode
-    if (attClass == "node") {
-      nodeAttributes[attObj.id] = attObj
-    } else if (attClass == "edge") {
-      edgeAttributes[attObj.id] = attObj
-    }
-    logger.debug(`Found ${attObj.mode} ${attClass} attribute "${attObj.id}". Type: ${attObj.type}. Title: ${attObj.title}.`)
+// Validate the GEXF: issues are reported as warnings, with an example each
+if (inputFormat == "gexf" && options.validate) {
+  const report = await validateGexf(options.input, {
+    timeformat,
+    timerepresentation,
+    timeParser,
+    maxExamples: 1,
+    dynamic: !timeAttributes,
+  })
+  let issuesCount = 0
+  for (let check in report.checks) {
+    const reportCheck = report.checks[check]
+    if (reportCheck.count > 0) {
+      issuesCount += reportCheck.count
+      const example = reportCheck.examples[0]
+      logger.warn(`Validation [${check}]: ${reportCheck.count} ${reportCheck.description}. For instance, line ${example.line}: ${example.message}`)
+    }
+  }
+  if (issuesCount > 0) {
+    logger.warn(`Validation found ${issuesCount} issues. Run validate-gexf for a detailed report.`)
+  } else {
+    logger.debug(`Validation found no issue.`)
   }
 }
-// Defaults
-let windowRangeDefault
-let windowStepDefault
-let windowUnitRatio
-if (timeformat == "date" || timeformat == "dateTime") {
-  windowRangeDefault = 7*24*60*60 // seconds
-  windowStepDefault = 24*60*60 // seconds
-  windowUnitRatio = 1000 // seconds to milliseconds
-} else {
-  windowRangeDefault = 1 // arbitrary unit
-  windowStepDefault = 0.1 // arbitrary unit
-  windowUnitRatio = 1 // no conversion
-}
-let windowRange = (options.range?+options.range:windowRangeDefault)*windowUnitRatio
-let windowStep = (options.range?+options.range:windowStepDefault)*windowUnitRatio
 
+// Equal-activity slicing
+let eventsPerSlice
+const eventsType = options.events || "edges"
+if (options.eventsPerSlice !== undefined) {
+  eventsPerSlice = +options.eventsPerSlice
+  if (!(Number.isInteger(eventsPerSlice) && eventsPerSlice > 0)) {
+    logger.error(`The number of events per slice "${options.eventsPerSlice}" must be a positive integer.`)
+    process.exit()
+  }
+  if (eventsType != "edges" && eventsType != "elements") {
+    logger.error(`The events "${eventsType}" are not supported. Use "edges" or "elements".`)
+    process.exit()
+  }
+  if (options.range !== undefined || options.step !== undefined) {
+    logger.warn(`The range and step are not used in equal-activity slicing (--events-per-slice).`)
+  }
+  logger.info(`Equal-activity slicing: ${eventsPerSlice} ${eventsType == "edges" ? "edge appearances" : "node and edge appearances"} per slice.`)
+} else if (options.events !== undefined) {
+  logger.warn(`The events are only used in equal-activity slicing (--events-per-slice).`)
+}
 
-/// BUILD SLICES
+// Keyframe slicing
+const keyframes = !!options.keyframes
+if (keyframes) {
+  if (eventsPerSlice) {
+    logger.error(`Keyframe slicing (--keyframes) and equal-activity slicing (--events-per-slice) cannot be combined.`)
+    process.exit()
+  }
+  if (timerepresentation != "timestamp") {
+    logger.error(`Keyframe slicing (--keyframes) requires timestamps, but the time representation is "${timerepresentation}".`)
+    process.exit()
+  }
+  if (options.step !== undefined) {
+    logger.warn(`The step is not used in keyframe slicing (--keyframes).`)
+  }
+  logger.info(`Keyframe slicing${options.range !== undefined ? `, each slice covering the range before a change` : ""}.`)
+} else if (options.tolerance !== undefined) {
+  logger.warn(`The tolerance is only used in keyframe slicing (--keyframes).`)
+}
 
-// Find earliest and latest dates
+// Find earliest and latest dates (first pass)
 let dateMin = Infinity
 let dateMax = -Infinity
+let nodesCount = 0
+let edgesCount = 0
 let pileDates
 if (timerepresentation == "interval") {
-  pileDates = function(domnode, dates){
-    let start = domnode.getAttribute("start")
+  pileDates = function(element, dates){
+    let start = element.start
     if (start) {
       dates[start] = true
     }
-    let end = domnode.getAttribute("end")
+    let end = element.end
     if (end) {
       dates[end] = true
     }
   }
 } else if (timerepresentation == "timestamp") {
-  pileDates = function(domnode, dates){
-    let timestamp = domnode.getAttribute("timestamp")
+  pileDates = function(element, dates){
+    let timestamp = element.timestamp
     if (timestamp) {
       dates[timestamp] = true
     }
   }
 }
-for (let i=0; i<nodeDomnodes.length; i++) {
-  const nodeDomnode = nodeDomnodes.item(i)
+function pileElementDates(element) {
   let dates = {}
-  pileDates(nodeDomnode, dates)
-  const spellsDomnode = nodeDomnode.getElementsByTagName("spells")
-  if (spellsDomnode.length>0) {
-    const spellDomnodes = spellsDomnode.item(0).getElementsByTagName("spell")
-    for (let j=0; j<spellDomnodes.length; j++) {
-      const spellDomnode = spellDomnodes.item(j)
-      pileDates(spellDomnode, dates)
-    }
-  }
+  pileDates(element, dates)
+  element.spells.forEach(spell => {
+    pileDates(spell, dates)
+  })
   dates = Object.keys(dates)
   dates.forEach(d => {
     const date = timeParser(d)
@@ -206,27 +433,471 @@ for (let i=0; i<nodeDomnodes.length; i++) {
     dateMax = Math.max(dateMax, date)
   })
 }
+// Events are appearances: the start of each interval, or each timestamp
+// (used by equal-activity and keyframe slicing only)
+let eventTimes = []
+function pileElementEvents(element) {
+  [element, ...element.spells].forEach(e => {
+    const time = (timerepresentation == "interval") ? e.start : e.timestamp
+    if (time) {
+      eventTimes.push(timeParser(time))
+    }
+  })
+}
+// Hierarchy: parent of each node, and labels of all nodes when collapsing
+// (ancestors missing from a slice are added with their label)
+let nodeParents = new Map()
+let nodeLabels = new Map()
+// Aliases: label of each canonical node, from the alias table, or else from
+// the node with the canonical id, or else from its first alias
+let aliasLabels = new Map()
+let aliasesFound = new Set()
+const canonicalIds = new Set(aliasTable ? aliasTable.aliases.values() : [])
+// In a dynamic GEXF, the time range is that of nodes.
+// In a static GEXF, it is that of the elements having a time attribute.
+await streamInput({
+  node: nodeElement => {
+    nodesCount++
+    if (nodeElement.pid) {
+      nodeParents.set(nodeElement.id, nodeElement.pid)
+    }
+    if (aliasTable && canonicalIds.has(nodeElement.id)) {
+      if (nodeElement.alias === undefined) {
+        aliasLabels.set(nodeElement.id, nodeElement.label)
+      } else {
+        aliasesFound.add(nodeElement.alias)
+        if (!aliasLabels.has(nodeElement.id)) {
+          aliasLabels.set(nodeElement.id, nodeElement.label)
+        }
+      }
+    }
+    if (options.hierarchyLevel !== undefined) {
+      nodeLabels.set(nodeElement.id, nodeElement.label)
+    }
+    if (!timeAttributes) {
+      pileElementDates(nodeElement)
+    } else if (timeAttributes.node) {
+      setTimeFromAttributes(nodeElement, nodeAttributes, timeAttributes.node)
+      pileElementDates(nodeElement)
+    }
+    if ((eventsPerSlice && eventsType == "elements") || keyframes) {
+      pileElementEvents(nodeElement)
+    }
+  },
+  edge: edgeElement => {
+    edgesCount++
+    if (timeAttributes && timeAttributes.edge) {
+      setTimeFromAttributes(edgeElement, edgeAttributes, timeAttributes.edge)
+      pileElementDates(edgeElement)
+    }
+    if (eventsPerSlice || keyframes) {
+      pileElementEvents(edgeElement)
+    }
+  },
+})
 logger.info(`Time range detected: from ${timeFormatter(dateMin)} to ${timeFormatter(dateMax)}.`)
+if (nodeParents.size > 0) {
+  let maxLevel = 0
+  nodeParents.forEach((pid, nid) => {
+    maxLevel = Math.max(maxLevel, getAncestors(nid, nodeParents).length)
+  })
+  logger.info(`Hierarchy detected: ${nodeParents.size} nodes have a parent, down to level ${maxLevel}.`)
+}
+if (aliasTable) {
+  aliasTable.labels.forEach((label, nid) => {
+    aliasLabels.set(nid, label)
+  })
+  aliasLabels.forEach((label, nid) => {
+    if (nodeLabels.has(nid)) {
+      nodeLabels.set(nid, label)
+    }
+  })
+  logger.info(`${aliasesFound.size} aliases found, merged into ${new Set([...aliasesFound].map(alias => aliasTable.aliases.get(alias))).size} nodes.`)
+}
+
+// Give an element of a static GEXF the time held in its attributes,
+// as if it were the element's own time in a dynamic GEXF.
+function setTimeFromAttributes(element, attributes, timeAttribute) {
+  const getValue = function(attId) {
+    const attvalue = element.attvalues.find(attvalue => attvalue.for == attId)
+    return attvalue ? attvalue.value : attributes[attId].default
+  }
+  const start = getValue(timeAttribute.start)
+  if (timerepresentation == "interval") {
+    element.start = start
+    element.end = timeAttribute.end ? getValue(timeAttribute.end) : start
+  } else {
+    element.timestamp = start
+  }
+}
+
+// Defaults
+let windowRangeDefault
+let windowStepDefault
+let windowUnitRatio
+if (timeformat == "date" || timeformat == "dateTime") {
+  windowRangeDefault = 7*24*60*60 // seconds
+  windowStepDefault = 24*60*60 // seconds
+  windowUnitRatio = 1000 // seconds to milliseconds
+} else {
+  windowRangeDefault = 1 // arbitrary unit
+  windowStepDefault = 0.1 // arbitrary unit
+  windowUnitRatio = 1 // no conversion
+}
+// Windows are either durations (in milliseconds or unitless),
+// or calendar durations ({count, unit}) for dates
+let windowRange = parseWindowOption("range", options.range, windowRangeDefault)
+let windowStep = parseWindowOption("step", options.step, windowStepDefault)
+function parseWindowOption(name, value, defaultValue) {
+  if (value === undefined) {
+    return defaultValue*windowUnitRatio
+  }
+  const duration = parseCalendarDuration(value)
+  if (duration) {
+    if (timeformat != "date" && timeformat != "dateTime") {
+      logger.error(`The ${name} "${value}" is a calendar duration, which requires the "date" or "dateTime" time format (not "${timeformat}").`)
+      process.exit()
+    }
+    logger.info(`Slice ${name}: ${formatCalendarDuration(duration)}.`)
+    return duration
+  }
+  if (isNaN(+value) || +value <= 0) {
+    logger.error(`The ${name} "${value}" is neither a positive number nor a calendar duration.`)
+    process.exit()
+  }
+  return +value*windowUnitRatio
+}
+function addWindow(time, window) {
+  if (typeof window == "object") {
+    return addCalendarDuration(time, window, timeZone)
+  }
+  return time + window
+}
+
+// Time bounds
+let timeStart = dateMin
+let timeEnd = dateMax
+if (typeof windowStep == "object") {
+  // Align slices on the calendar, covering the periods of the earliest and latest times
+  timeStart = floorToCalendarUnit(timeStart, windowStep.unit, timeZone)
+  timeEnd = addCalendarDuration(floorToCalendarUnit(timeEnd, windowStep.unit, timeZone), {count: 1, unit: windowStep.unit}, timeZone)
+}
+if (options.start !== undefined) {
+  timeStart = timeParser(options.start)
+  if (typeof windowStep == "object" && !isNaN(timeStart)) {
+    const alignedStart = floorToCalendarUnit(timeStart, windowStep.unit, timeZone)
+    if (alignedStart != timeStart) {
+      logger.warn(`The start ${options.start} is moved to the start of its ${windowStep.unit} (${timeFormatter(alignedStart)}), to align slices on the calendar.`)
+      timeStart = alignedStart
+    }
+  }
+}
+if (options.end !== undefined) {
+  timeEnd = timeParser(options.end)
+}
+if (isNaN(timeStart) || isNaN(timeEnd) || timeEnd < timeStart) {
+  logger.error(`Invalid time bounds: from ${options.start || timeFormatter(timeStart)} to ${options.end || timeFormatter(timeEnd)}.`)
+  process.exit()
+}
+
+// Windows cut from the events instead of a regular grid
+let adaptiveWindows
+
+// Snapshot windows: unless other windows are set, each snapshot is a slice
+// lasting until the next snapshot (the last one lasts as long as the previous)
+if (inputFormat == "snapshots" && !eventsPerSlice && !keyframes && options.range === undefined && options.step === undefined) {
+  const snapshotDates = [...new Set(snapshots.map(snapshot => snapshot.date))]
+    .filter(date => (options.start === undefined || date >= timeStart) && (options.end === undefined || date <= timeEnd))
+  if (snapshotDates.length == 0) {
+    logger.error(`No snapshot between the start and the end.`)
+    process.exit()
+  }
+  adaptiveWindows = snapshotDates.map((date, k) => {
+    let end
+    if (k+1 < snapshotDates.length) {
+      end = snapshotDates[k+1]
+    } else if (k > 0) {
+      end = date + (date - snapshotDates[k-1])
+    } else {
+      end = getTimeAfter(date)
+    }
+    return {start: date, end}
+  })
+  timeStart = adaptiveWindows[0].start
+  timeEnd = adaptiveWindows[adaptiveWindows.length-1].end
+  logger.info(`One slice per snapshot.`)
+}
+
+// Equal-activity windows: each covers eventsPerSlice events (more if several
+// events share the time of a cut), from its first event to just before the
+// first event of the next window (slices include their end), so that no event
+// is in two slices. The last window ends just after the last event.
+if (eventsPerSlice) {
+  eventTimes = eventTimes
+    .filter(time => !isNaN(time) && (options.start === undefined || time >= timeStart) && (options.end === undefined || time <= timeEnd))
+    .sort((a, b) => a-b)
+  if (eventTimes.length == 0) {
+    logger.error(`No ${eventsType == "edges" ? "edge has" : "element has"} a time to slice by activity.${eventsType == "edges" ? ` Try --events elements.` : ""}`)
+    process.exit()
+  }
+  let cuts = [0]
+  let i = eventsPerSlice
+  while (i < eventTimes.length) {
+    // Events at the same time stay in the same slice
+    while (i < eventTimes.length && eventTimes[i] == eventTimes[i-1]) {
+      i++
+    }
+    if (i < eventTimes.length) {
+      cuts.push(i)
+    }
+    i += eventsPerSlice
+  }
+  adaptiveWindows = cuts.map((cut, k) => ({
+    start: eventTimes[cut],
+    end: (k+1 < cuts.length) ? getTimeBefore(eventTimes[cuts[k+1]]) : getTimeAfter(eventTimes[eventTimes.length-1]),
+  }))
+  timeStart = adaptiveWindows[0].start
+  timeEnd = adaptiveWindows[adaptiveWindows.length-1].end
+  logger.info(`${eventTimes.length} events cut into ${adaptiveWindows.length} slices.`)
+}
+
+// Keyframe windows: the graph changes when elements appear (at their
+// timestamp) and, with a range, when they disappear (a range later). Changes
+// closer than the tolerance to the previous keyframe wait for the next one.
+// Without a range, windows go from a keyframe to the next. With a range, each
+// window ends just after a keyframe and covers the range before, so that it
+// shows the graph as it is at that keyframe.
+if (keyframes) {
+  let tolerance = 0
+  if (options.tolerance !== undefined) {
+    tolerance = +options.tolerance*windowUnitRatio
+    if (!(tolerance >= 0)) {
+      logger.error(`The tolerance "${options.tolerance}" must be a positive number.`)
+      process.exit()
+    }
+  }
+  let changeTimes = eventTimes
+    .filter(time => !isNaN(time) && (options.start === undefined || time >= timeStart) && (options.end === undefined || time <= timeEnd))
+  if (options.range !== undefined) {
+    changeTimes = changeTimes.concat(changeTimes.map(time => addWindow(time, windowRange)))
+  }
+  changeTimes.sort((a, b) => a-b)
+  if (changeTimes.length == 0) {
+    logger.error(`No element has a time to slice by keyframes.`)
+    process.exit()
+  }
+  let keyframeTimes = []
+  changeTimes.forEach(time => {
+    const lastKeyframeTime = keyframeTimes[keyframeTimes.length-1]
+    if (keyframeTimes.length == 0 || (time > lastKeyframeTime && time - lastKeyframeTime >= tolerance)) {
+      keyframeTimes.push(time)
+    }
+  })
+  if (options.range !== undefined) {
+    adaptiveWindows = keyframeTimes.map(time => {
+      const end = getTimeAfter(time)
+      return {start: subtractWindow(end, windowRange), end}
+    })
+  } else {
+    adaptiveWindows = keyframeTimes.map((time, k) => ({
+      start: time,
+      end: (k+1 < keyframeTimes.length) ? keyframeTimes[k+1] : getTimeAfter(time),
+    }))
+  }
+  timeStart = adaptiveWindows[0].start
+  timeEnd = adaptiveWindows[adaptiveWindows.length-1].end
+  logger.info(`${changeTimes.length} changes give ${adaptiveWindows.length} keyframes.`)
+}
+function subtractWindow(time, window) {
+  if (typeof window == "object") {
+    return addCalendarDuration(time, {count: -window.count, unit: window.unit}, timeZone)
+  }
+  return time - window
+}
+
+// Smallest time after a time, so that a window ending there contains it
+function getTimeAfter(time) {
+  if (timeformat == "date") {
+    return addCalendarDuration(time, {count: 1, unit: "day"}, timeZone)
+  } else if (timeformat == "dateTime") {
+    return time + 1
+  } else if (timeformat == "double") {
+    return time + Math.max(Math.abs(time), 1) * Number.EPSILON
+  }
+  return time + 1
+}
+function getTimeBefore(time) {
+  if (timeformat == "date") {
+    return addCalendarDuration(time, {count: -1, unit: "day"}, timeZone)
+  } else if (timeformat == "dateTime") {
+    return time - 1
+  } else if (timeformat == "double") {
+    return time - Math.max(Math.abs(time), 1) * Number.EPSILON
+  }
+  return time - 1
+}
+
+if (options.start !== undefined || options.end !== undefined || typeof windowStep == "object" || adaptiveWindows) {
+  logger.info(`Slices span from ${timeFormatter(timeStart)} to ${timeFormatter(timeEnd)}.`)
+}
+
+
+// Window mode
+const windowMode = options.window || "sliding"
+if (windowMode != "sliding" && windowMode != "cumulative" && windowMode != "decaying") {
+  logger.error(`The window mode "${windowMode}" is not supported. Use "sliding", "cumulative" or "decaying".`)
+  process.exit()
+}
+let halfLife
+if (options.halfLife !== undefined) {
+  if (windowMode != "decaying") {
+    logger.warn(`The half-life is only used in the "decaying" window mode.`)
+  }
+  halfLife = +options.halfLife*windowUnitRatio
+  if (!(halfLife > 0)) {
+    logger.error(`The half-life "${options.halfLife}" must be a positive number.`)
+    process.exit()
+  }
+}
+logger.info(`Window mode: ${windowMode}.`)
+
+// Filters
+// Names usable in filters: native properties, then attribute ids and titles
+let nodeFilter, edgeFilter
+try {
+  if (options.nodeFilter !== undefined) {
+    nodeFilter = compileFilter(options.nodeFilter, getFilterFields(["id", "label", "pid"], nodeAttributes))
+    logger.info(`Node filter: ${options.nodeFilter}`)
+  }
+  if (options.edgeFilter !== undefined) {
+    edgeFilter = compileFilter(options.edgeFilter, getFilterFields(["id", "source", "target", "type", "kind", "weight", "recency"], edgeAttributes))
+    logger.info(`Edge filter: ${options.edgeFilter}`)
+  }
+} catch (err) {
+  logger.error(err.message)
+  process.exit()
+}
+
+function getFilterFields(nativeKeys, attributes) {
+  let fields = {}
+  nativeKeys.forEach(key => {
+    fields[key] = key
+  })
+  for (let attId in attributes) {
+    fields[attId] = fields[attId] || attId
+  }
+  for (let attId in attributes) {
+    const title = attributes[attId].title
+    if (title && fields[title] === undefined) {
+      fields[title] = attId
+    }
+  }
+  return fields
+}
+
+// Edge policies
+const edgePolicies = resolveEdgePolicies(options, {defaultedgetype: graphAttributes.defaultedgetype}, logger)
+if (!edgePolicies) {
+  process.exit()
+}
+
+// Hierarchy level
+let hierarchyLevel
+if (options.hierarchyLevel !== undefined) {
+  hierarchyLevel = +options.hierarchyLevel
+  if (!(Number.isInteger(hierarchyLevel) && hierarchyLevel >= 0)) {
+    logger.error(`The hierarchy level "${options.hierarchyLevel}" must be a positive integer.`)
+    process.exit()
+  }
+  if (nodeParents.size == 0) {
+    logger.warn(`No hierarchy found (nested nodes or pid): there is nothing to collapse.`)
+  } else {
+    logger.info(`Slices are collapsed to level ${hierarchyLevel} of the hierarchy.`)
+  }
+}
+
+// Pruning
+let pruning
+if (options.minDegree !== undefined || options.kCore !== undefined || options.giantComponent) {
+  pruning = {
+    minDegree: (options.minDegree === undefined) ? undefined : +options.minDegree,
+    degreeType: options.degreeType || "total",
+    kCore: (options.kCore === undefined) ? undefined : +options.kCore,
+    giantComponent: !!options.giantComponent,
+    defaultEdgeType: graphAttributes.defaultedgetype,
+  }
+  if (pruning.minDegree !== undefined && !(pruning.minDegree >= 0)) {
+    logger.error(`The minimum degree "${options.minDegree}" must be a positive number.`)
+    process.exit()
+  }
+  if (pruning.degreeType != "in" && pruning.degreeType != "out" && pruning.degreeType != "total") {
+    logger.error(`The degree type "${pruning.degreeType}" is not supported. Use "in", "out" or "total".`)
+    process.exit()
+  }
+  if (pruning.kCore !== undefined && !(Number.isInteger(pruning.kCore) && pruning.kCore >= 0)) {
+    logger.error(`The k of the k-core "${options.kCore}" must be a positive integer.`)
+    process.exit()
+  }
+  logger.info(`Pruning: ${[
+    (pruning.minDegree !== undefined) ? `${pruning.degreeType} degree at least ${pruning.minDegree}` : undefined,
+    (pruning.kCore !== undefined) ? `${pruning.kCore}-core` : undefined,
+    pruning.giantComponent ? `giant component` : undefined,
+  ].filter(step => step).join(", then ")}.`)
+}
+if (options.degreeType !== undefined && options.minDegree === undefined) {
+  logger.warn(`The degree type is only used with --min-degree.`)
+}
+
+
+/// BUILD SLICES
 
 // Build empty slices
+// In cumulative mode, all slices start at the beginning.
+// Start and end are also formatted as labels (in the time zone for dates).
+let windows = []
+if (adaptiveWindows) {
+  windows = adaptiveWindows
+} else {
+  let windowFits
+  if (typeof windowRange == "object") {
+    windowFits = i => addWindow(i, windowRange)<=timeEnd
+  } else {
+    windowFits = i => i<=timeEnd-windowRange
+  }
+  // Calendar steps are counted from the start, so that windows do not drift
+  // (Jan 31 + 1 month is Feb 29, but Jan 31 + 2 months is Mar 31)
+  let i = timeStart
+  for (let k = 1; windowFits(i); k++) {
+    windows.push({start: i, end: addWindow(i, windowRange)})
+    i = (typeof windowStep == "object") ? addCalendarDuration(timeStart, {count: k*windowStep.count, unit: windowStep.unit}, timeZone) : i + windowStep
+  }
+}
 let slices = []
-for (let i = dateMin; i<=dateMax-windowRange; i+=windowStep){
+windows.forEach(window => {
   let slice = {
-    start: i,
-    end: i+windowRange,
+    start: (windowMode == "cumulative") ? timeStart : window.start,
+    end: window.end,
     nodes:[],
     edges:[],
   }
+  slice.startLabel = timeFormatter(slice.start)
+  slice.endLabel = timeFormatter(slice.end)
   slices.push(slice)
-}
+})
 logger.debug(`${slices.length} empty slices prepared.`)
 
-// Overlap rule
-let overlapDomnodeSlice
+// Time index of slices
+// Each element is only sorted into the slices its time actually overlaps,
+// found by binary search on slice boundaries.
+const sliceIndex = buildSliceIndex(slices)
+
+// Overlap rule: range of slices overlapping an element's own time
+// (undefined if the element has no time)
+let getElementSliceRange
 if (timerepresentation == "interval") {
-  overlapDomnodeSlice = function(domnode, slice) {
-    const start = domnode.getAttribute("start")
-    const end = domnode.getAttribute("end")
+  getElementSliceRange = function(element) {
+    const start = element.start
+    const end = element.end
     if (start || end) {
       let startDate
       if (start) {
@@ -240,159 +911,420 @@ if (timerepresentation == "interval") {
       } else {
         endDate = Infinity
       }
-      return !(endDate<slice.start || slice.end<startDate)
+      return sliceIndex.overlapping(startDate, endDate)
     }
   }
 } else if (timerepresentation == "timestamp") {
-  overlapDomnodeSlice = function(domnode, slice) {
-    const timestamp = domnode.getAttribute("timestamp")
+  getElementSliceRange = function(element) {
+    const timestamp = element.timestamp
     if (timestamp) {
       const tsDate = timeParser(timestamp)
-      return (slice.start<=tsDate && tsDate<slice.end)
+      return sliceIndex.containing(tsDate)
     }
-    return false
   }
 }
 
-// Fill slices with nodes
-let checkNodeSlice
-if (timerepresentation == "interval") {
-  checkNodeSlice = function(nodeDomnode, slice) {
-    let start = nodeDomnode.getAttribute("start")
-    let end = nodeDomnode.getAttribute("end")
-    if (start || end) {
-      return overlapDomnodeSlice(nodeDomnode, slice)
-    } else {
-      let spellsDomnodeList = nodeDomnode.getElementsByTagName("spells")
-      if (spellsDomnodeList.length>0) {
-        let spellsDomnode = spellsDomnodeList.item(0)
-        let spellDomnodes = spellsDomnode.getElementsByTagName("spell")
-        for (let i=0; i<spellDomnodes.length; i++) {
-          const spellDomnode = spellDomnodes.item(i)
-          if (overlapDomnodeSlice(spellDomnode, slice)) {
-            return true
-          }
+// Presence rule: sorted indexes of the slices where an element is present
+// (own time, or else spells)
+function getElementSlices(element) {
+  let ranges
+  const ownRange = getElementSliceRange(element)
+  if (ownRange) {
+    ranges = [ownRange]
+  } else {
+    ranges = element.spells
+      .map(getElementSliceRange)
+      .filter(range => range)
+  }
+  let sliceIds = new Set()
+  ranges.forEach(range => {
+    for (let i=range.from; i<=range.to; i++) {
+      sliceIds.add(i)
+    }
+  })
+  return [...sliceIds].sort((a, b) => a-b)
+}
+
+// Latest time at which an element is present in a slice, or -Infinity
+function getLastTimeInSlice(element, slice) {
+  let times
+  if ((timerepresentation == "interval" && (element.start || element.end)) || (timerepresentation == "timestamp" && element.timestamp)) {
+    times = [element]
+  } else {
+    times = element.spells
+  }
+  let last = -Infinity
+  times.forEach(time => {
+    if (timerepresentation == "interval") {
+      if (time.start || time.end) {
+        const startDate = time.start ? timeParser(time.start) : -Infinity
+        const endDate = time.end ? timeParser(time.end) : Infinity
+        if (!(endDate<slice.start || slice.end<startDate)) {
+          last = Math.max(last, Math.min(endDate, slice.end))
         }
       }
+    } else if (time.timestamp) {
+      const tsDate = timeParser(time.timestamp)
+      if (slice.start<=tsDate && tsDate<slice.end) {
+        last = Math.max(last, tsDate)
+      }
     }
+  })
+  return last
+}
+
+// Recency of an element in a slice (decaying mode): 1 if it is present at the
+// end of the slice, halved for each half-life since it was last present.
+function getRecency(element, slice) {
+  const last = getLastTimeInSlice(element, slice)
+  if (last == -Infinity) {
+    // The element has no time of its own
+    return 1
   }
-} else if (timerepresentation == "timestamp") {
-  checkNodeSlice = function(nodeDomnode, slice) {
-    let timestamp = nodeDomnode.getAttribute("timestamp")
-    if (timestamp) {
-      return overlapDomnodeSlice(nodeDomnode, slice)
+  const sliceHalfLife = halfLife || (slice.end - slice.start)/2
+  return Math.pow(0.5, (slice.end - last)/sliceHalfLife)
+}
+
+// Attribute values of an element in a given slice
+function getAttvaluesIndex(attvalues, attributes, sliceId) {
+  let attvaluesIndex = {}
+  attvalues.forEach(attvalue => {
+    const attId = attvalue.for
+    if (!attributes[attId]) {
+      // Undeclared attribute (reported by validate-gexf)
+      return
+    }
+    if (attributes[attId].mode == "static") {
+      attvaluesIndex[attId] = attvalue.value
     } else {
-      let spellsDomnodeList = nodeDomnode.getElementsByTagName("spells")
-      if (spellsDomnodeList.length>0) {
-        let spellsDomnode = spellsDomnodeList.item(0)
-        let spellDomnodes = spellsDomnode.getElementsByTagName("spell")
-        for (let i=0; i<spellDomnodes.length; i++) {
-          const spellDomnode = spellDomnodes.item(i)
-          if (overlapDomnodeSlice(spellDomnode, slice)) {
-            return true
-          }
-        }
+      if (attvalue.sliceRange && attvalue.sliceRange.from<=sliceId && sliceId<=attvalue.sliceRange.to) {
+        attvaluesIndex[attId] = attvalue.value
       }
     }
+  })
+  return attvaluesIndex
+}
+
+// Find the slices of the dynamic parts of an element
+// (attribute values and viz)
+function indexElementTimes(element) {
+  element.attvalues.forEach(attvalue => {
+    attvalue.sliceRange = getElementSliceRange(attvalue)
+  })
+  element.viz.forEach(viz => {
+    if (getElementSliceRange(viz) || viz.spells.length>0) {
+      viz.sliceIds = new Set(getElementSlices(viz))
+    }
+  })
+}
+
+// Viz of an element in a given slice: static viz, overridden by the viz
+// whose time overlaps the slice. Returns undefined if there is no viz.
+function getViz(vizList, sliceId) {
+  let viz = {}
+  const staticVizList = vizList.filter(v => !v.sliceIds)
+  const dynamicVizList = vizList.filter(v => v.sliceIds && v.sliceIds.has(sliceId))
+  staticVizList.concat(dynamicVizList).forEach(v => {
+    if (v.type == "color") {
+      if (v.a !== undefined && v.a !== "") {
+        viz.color = `rgba(${+v.r},${+v.g},${+v.b},${+v.a})`
+      } else {
+        viz.color = `rgb(${+v.r},${+v.g},${+v.b})`
+      }
+    } else if (v.type == "size") {
+      viz.size = +v.value
+    } else if (v.type == "position") {
+      viz.x = +v.x
+      viz.y = +v.y
+    } else if (v.type == "thickness") {
+      viz.thickness = +v.value
+    } else if (v.type == "shape") {
+      viz.shape = v.value
+    }
+  })
+  if (Object.keys(viz).length > 0) {
+    return viz
   }
 }
-for (let i=0; i<nodeDomnodes.length; i++) {
-  if (i>0 && i%100 == 0) {
-    logger.info(`${i}/${nodeDomnodes.length} nodes sorted in slices...`)
+
+// Attribute value cast to the declared type of the attribute
+let castErrors = {}
+function getTypedValue(rawValue, attObj) {
+  const cast = castAttributeValue(rawValue, attObj.type)
+  if (cast.error) {
+    castErrors[attObj.id] = (castErrors[attObj.id] || 0) + 1
   }
-  const nodeDomnode = nodeDomnodes.item(i)
-  slices.forEach(slice => {
-    if (checkNodeSlice(nodeDomnode, slice)) {
-      let id = nodeDomnode.getAttribute("id")
-      let label = nodeDomnode.getAttribute("label")
-      let node = {id, label}
-      // Attributes
-      let attvaluesIndex = {}
-      const attvaluesDomnode = nodeDomnode.getElementsByTagName("attvalues").item(0)
-      const attvalueDomnodes = attvaluesDomnode.getElementsByTagName("attvalue")
-      for (let j=0; j<attvalueDomnodes.length; j++) {
-        const attvalueDomnode = attvalueDomnodes.item(j)
-        const attId = attvalueDomnode.getAttribute("for")
-        if (nodeAttributes[attId].mode == "static") {
-          attvaluesIndex[attId] = attvalueDomnode.getAttribute("value")
-        } else {
-          if (overlapDomnodeSlice(attvalueDomnode, slice)) {
-            attvaluesIndex[attId] = attvalueDomnode.getAttribute("value")
-          }
-        }
-      }
-      for (let attId in nodeAttributes) {
-        if (attId != "id" && attId != "label") {
-          node[attId] = attvaluesIndex[attId] || nodeAttributes[attId].default
-        }
-      }
+  return cast.value
+}
 
-      slice.nodes.push(node)
+// Build the node of a slice
+function buildNode(nodeElement, sliceId) {
+  let id = nodeElement.id
+  let label = nodeElement.label
+  if (aliasLabels.has(id)) {
+    label = aliasLabels.get(id)
+  }
+  let node = {id, label}
+  if (nodeElement.pid) {
+    node.pid = nodeElement.pid
+  }
+  // Attributes
+  let attvaluesIndex = getAttvaluesIndex(nodeElement.attvalues, nodeAttributes, sliceId)
+  for (let attId in nodeAttributes) {
+    if (attId != "id" && attId != "label") {
+      node[attId] = getTypedValue(attvaluesIndex[attId] || nodeAttributes[attId].default, nodeAttributes[attId])
     }
-  })
+  }
+  // Viz
+  const viz = getViz(nodeElement.viz, sliceId)
+  if (viz) {
+    node.viz = viz
+  }
+  return node
 }
 
-// Fill slices with edges
-let checkEdgeSlice = checkNodeSlice
-for (let i=0; i<edgeDomnodes.length; i++) {
-  if (i>0 && i%1000 == 0) {
-    logger.info(`${i}/${edgeDomnodes.length} edges sorted in slices...`)
+// Build the edge of a slice
+function buildEdge(edgeElement, sliceId) {
+  let id = edgeElement.id
+  let source = edgeElement.source
+  let target = edgeElement.target
+  let edge = {id, source, target}
+  // Native attributes
+  const type = edgeElement.type
+  if (type) {
+    edge.type = type
   }
-  const edgeDomnode = edgeDomnodes.item(i)
-  slices.forEach(slice => {
-    if (checkEdgeSlice(edgeDomnode, slice)) {
-      let id = edgeDomnode.getAttribute("id")
-      let source = edgeDomnode.getAttribute("source")
-      let target = edgeDomnode.getAttribute("target")
-      let edge = {id, source, target}
-      // Native attributes
-      const type = edgeDomnode.getAttribute("type")
-      if (type) {
-        edge.type = type
-      }
-      const weight = edgeDomnode.getAttribute("weight")
-      if (weight) {
-        edge.weight = weight
-      }
-      const kind = edgeDomnode.getAttribute("kind")
-      if (kind) {
-        edge.kind = kind
-      }
-      // Attributes
-      let attvaluesIndex = {}
-      const attvaluesDomnode = edgeDomnode.getElementsByTagName("attvalues").item(0)
-      const attvalueDomnodes = attvaluesDomnode.getElementsByTagName("attvalue")
-      for (let j=0; j<attvalueDomnodes.length; j++) {
-        const attvalueDomnode = attvalueDomnodes.item(j)
-        const attId = attvalueDomnode.getAttribute("for")
-        if (edgeAttributes[attId].mode == "static") {
-          attvaluesIndex[attId] = attvalueDomnode.getAttribute("value")
-        } else {
-          if (overlapDomnodeSlice(attvalueDomnode, slice)) {
-            attvaluesIndex[attId] = attvalueDomnode.getAttribute("value")
-          }
-        }
+  const weight = edgeElement.weight
+  if (weight) {
+    edge.weight = getTypedValue(weight, {id: "weight", type: "double"})
+  }
+  const kind = edgeElement.kind
+  if (kind) {
+    edge.kind = kind
+  }
+  if (windowMode == "decaying") {
+    edge.recency = getRecency(edgeElement, slices[sliceId])
+  }
+  // Attributes
+  let attvaluesIndex = getAttvaluesIndex(edgeElement.attvalues, edgeAttributes, sliceId)
+  for (let attId in edgeAttributes) {
+    if (attId != "id" && attId != "source" && attId != "target" && attId != "type" && attId != "kind" && attId != "weight") {
+      edge[attId] = getTypedValue(attvaluesIndex[attId] || edgeAttributes[attId].default, edgeAttributes[attId])
+    }
+  }
+  // Viz
+  const viz = getViz(edgeElement.viz, sliceId)
+  if (viz) {
+    edge.viz = viz
+  }
+  return edge
+}
+
+// In a static GEXF where only one class of elements has a time attribute,
+// the presence of the other class derives from it:
+// - edges without time are present when both their source and target are
+// - nodes without time are present when at least one of their edges is
+const edgesFollowNodes = timeAttributes && !timeAttributes.edge
+const nodesFollowEdges = timeAttributes && !timeAttributes.node
+let nodeSlicesIndex = {} // Slices of each node, when edges follow nodes
+let edgeSlicesByNode = {} // Slices of the edges of each node, when nodes follow edges
+
+// Add nodes and edges to a slice, unless filtered out.
+// Returns whether the element was added.
+let filteredOut = {node: new Set(), edge: new Set()}
+let filteredOutCount = {node: 0, edge: 0}
+function addNodeToSlice(nodeElement, sliceId) {
+  const node = buildNode(nodeElement, sliceId)
+  if (nodeFilter && !nodeFilter(node)) {
+    filteredOut.node.add(node.id)
+    filteredOutCount.node++
+    return false
+  }
+  pushToSlice(sliceId, "nodes", node)
+  return true
+}
+function addEdgeToSlice(edgeElement, sliceId) {
+  const edge = buildEdge(edgeElement, sliceId)
+  if (edgeFilter && !edgeFilter(edge)) {
+    filteredOut.edge.add(edge.id)
+    filteredOutCount.edge++
+    return false
+  }
+  pushToSlice(sliceId, "edges", edge)
+  return true
+}
+// A slice covering several snapshots gets each node and edge once, as in the
+// latest snapshot (snapshots are read in time order). Edges without an id are
+// matched by their ends and type (see getEdgePairKey).
+// With aliases, a slice gets each node once, merged from the nodes renamed
+// to its id: the first one found, completed by the others (for snapshots,
+// the latest, completed by the previous ones)
+let sliceIndexes = {}
+function pushToSlice(sliceId, key, element) {
+  const mergeAliases = aliasTable && key == "nodes"
+  if ((inputFormat == "snapshots" || mergeAliases) && (element.id !== undefined || key == "edges")) {
+    sliceIndexes[sliceId] = sliceIndexes[sliceId] || {nodes: new Map(), edges: new Map(), edgePairs: new Map()}
+    const index = (element.id === undefined) ? sliceIndexes[sliceId].edgePairs : sliceIndexes[sliceId][key]
+    const indexKey = (element.id === undefined) ? getEdgePairKey(element, graphAttributes.defaultedgetype) : element.id
+    if (index.has(indexKey)) {
+      const position = index.get(indexKey)
+      if (!mergeAliases) {
+        slices[sliceId][key][position] = element
+      } else if (inputFormat == "snapshots") {
+        slices[sliceId][key][position] = mergeNodes(element, slices[sliceId][key][position])
+      } else {
+        slices[sliceId][key][position] = mergeNodes(slices[sliceId][key][position], element)
       }
-      for (let attId in edgeAttributes) {
-        if (attId != "id" && attId != "source" && attId != "target" && attId != "type" && attId != "kind" && attId != "weight") {
-          edge[attId] = attvaluesIndex[attId] || edgeAttributes[attId].default
-        }
+      return
+    }
+    index.set(indexKey, slices[sliceId][key].length)
+  }
+  slices[sliceId][key].push(element)
+}
+
+// Fill slices with nodes and edges (second pass). When nodes follow edges,
+// nodes are read again once all the edges are sorted (third pass), instead of
+// being kept in memory meanwhile.
+let nodesSorted = 0
+let edgesSorted = 0
+function sortNode(nodeElement) {
+  if (nodesSorted>0 && nodesSorted%100 == 0) {
+    logger.info(`${nodesSorted}/${nodesCount} nodes sorted in slices...`)
+  }
+  nodesSorted++
+  let sliceIds
+  if (nodesFollowEdges) {
+    sliceIds = [...(edgeSlicesByNode[nodeElement.id] || [])].sort((a, b) => a-b)
+  } else {
+    if (timeAttributes) {
+      setTimeFromAttributes(nodeElement, nodeAttributes, timeAttributes.node)
+    }
+    sliceIds = getElementSlices(nodeElement)
+  }
+  indexElementTimes(nodeElement)
+  if (edgesFollowNodes) {
+    // Aliases of a node add up their slices
+    if (nodeSlicesIndex[nodeElement.id]) {
+      nodeSlicesIndex[nodeElement.id] = [...new Set([...nodeSlicesIndex[nodeElement.id], ...sliceIds])].sort((a, b) => a-b)
+    } else {
+      nodeSlicesIndex[nodeElement.id] = sliceIds
+    }
+  }
+  sliceIds.forEach(sliceId => {
+    addNodeToSlice(nodeElement, sliceId)
+  })
+}
+await streamInput({
+  node: nodesFollowEdges ? undefined : sortNode,
+  edge: edgeElement => {
+    if (edgesSorted>0 && edgesSorted%1000 == 0) {
+      logger.info(`${edgesSorted}/${edgesCount} edges sorted in slices...`)
+    }
+    edgesSorted++
+    let sliceIds
+    if (edgesFollowNodes) {
+      const targetSliceIds = new Set(nodeSlicesIndex[edgeElement.target] || [])
+      sliceIds = (nodeSlicesIndex[edgeElement.source] || []).filter(sliceId => targetSliceIds.has(sliceId))
+    } else {
+      if (timeAttributes) {
+        setTimeFromAttributes(edgeElement, edgeAttributes, timeAttributes.edge)
       }
+      sliceIds = getElementSlices(edgeElement)
+    }
+    indexElementTimes(edgeElement)
+    const addedSliceIds = sliceIds.filter(sliceId => addEdgeToSlice(edgeElement, sliceId))
+    if (nodesFollowEdges) {
+      // Filtered out edges do not make their nodes present
+      [edgeElement.source, edgeElement.target].forEach(nid => {
+        edgeSlicesByNode[nid] = edgeSlicesByNode[nid] || new Set()
+        addedSliceIds.forEach(sliceId => edgeSlicesByNode[nid].add(sliceId))
+      })
+    }
+  },
+})
+if (nodesFollowEdges) {
+  await streamInput({node: sortNode})
+}
+if (nodeFilter) {
+  logger.info(`${filteredOut.node.size} nodes filtered out (from ${filteredOutCount.node} slice occurrences).`)
+}
+if (edgeFilter) {
+  logger.info(`${filteredOut.edge.size} edges filtered out (from ${filteredOutCount.edge} slice occurrences).`)
+}
+
+// Drop dangling edges: edges whose source or target is not in the slice
+// (absent at that time, or filtered out)
+let danglingEdgesCount = 0
+slices.forEach(slice => {
+  const nodeIds = new Set(slice.nodes.map(node => node.id))
+  const edgesCount = slice.edges.length
+  slice.edges = slice.edges.filter(edge => nodeIds.has(edge.source) && nodeIds.has(edge.target))
+  danglingEdgesCount += edgesCount - slice.edges.length
+})
+if (danglingEdgesCount > 0) {
+  logger.info(`${danglingEdgesCount} dangling edges dropped from slices (their source or target is not in the slice).`)
+}
 
-      slice.edges.push(edge)
+// Collapse slices to a level of the hierarchy
+if (hierarchyLevel !== undefined && nodeParents.size > 0) {
+  let collapseStats = {nodes: {before: 0, after: 0}, edges: {before: 0, after: 0}}
+  slices.forEach(slice => {
+    const stats = collapseSlice(slice, {level: hierarchyLevel, parents: nodeParents, labels: nodeLabels, defaultEdgeType: graphAttributes.defaultedgetype})
+    for (let key in collapseStats) {
+      collapseStats[key].before += stats[key].before
+      collapseStats[key].after += stats[key].after
     }
   })
+  logger.info(`Collapsing the hierarchy turned ${collapseStats.nodes.before} nodes into ${collapseStats.nodes.after} and ${collapseStats.edges.before} edges into ${collapseStats.edges.after} (summed over slices).`)
+}
+
+// Apply edge policies (parallel edges and self-loops)
+let edgePoliciesStats = {selfLoops: 0, parallelEdges: 0}
+slices.forEach(slice => {
+  const stats = applyEdgePolicies(slice, edgePolicies)
+  edgePoliciesStats.selfLoops += stats.selfLoops
+  edgePoliciesStats.parallelEdges += stats.parallelEdges
+})
+if (edgePolicies.selfLoops == "drop") {
+  logger.info(`${edgePoliciesStats.selfLoops} self-loops dropped from slices.`)
+}
+if (edgePolicies.parallelEdges == "merge") {
+  logger.info(`${edgePoliciesStats.parallelEdges} parallel edges merged in slices.`)
+}
+
+// Prune slices, keeping the statistics in each slice
+if (pruning) {
+  let prunedNodesCount = 0
+  let prunedEdgesCount = 0
+  slices.forEach(slice => {
+    slice.pruning = pruneSlice(slice, pruning)
+    prunedNodesCount += slice.pruning.nodes.before - slice.pruning.nodes.after
+    prunedEdgesCount += slice.pruning.edges.before - slice.pruning.edges.after
+  })
+  logger.info(`Pruning removed ${prunedNodesCount} nodes and ${prunedEdgesCount} edges from slices.`)
+}
+
+for (let attId in castErrors) {
+  logger.warn(`${castErrors[attId]} values of attribute "${attId}" do not match its declared type and were kept as strings.`)
 }
 
 /// SAVE
 
 let sliced = {timeformat, timerepresentation, nodeAttributes, edgeAttributes, slices}
-sliced.defaultedgetype = graphDomnode.getAttribute("defaultedgetype")
-const serializedJSON = JSON.stringify(sliced);
+sliced.defaultedgetype = graphAttributes.defaultedgetype
+sliced.windowmode = windowMode
+sliced.paralleledges = edgePolicies.parallelEdges
+sliced.selfloops = edgePolicies.selfLoops
+if (timeformat == "date" || timeformat == "dateTime") {
+  sliced.timezone = timeZone
+}
 const outputFile = `slices.json`
-fs.writeFile(outputFile, serializedJSON, (err) => {
-  if (err) throw err;
-  logger.info(`Slices saved to: ${outputFile}`)
-});
+try {
+  await saveSlices(outputFile, sliced, options.compact)
+} catch (err) {
+  logger.error(`Error saving the slices to ${outputFile}.\n${err}`)
+  process.exit()
+}
+logger.info(`Slices saved to: ${outputFile}${options.compact?" (compact format)":""}`)
 
 
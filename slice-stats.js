@@ -0,0 +1,174 @@
+import { Command } from 'commander';
+import * as fs from "fs";
+import * as d3 from 'd3';
+import { getLogger } from "./-get-logger.js"
+import { loadSlices } from "./-slices-file.js"
+import { getComponents } from "./-prune-slice.js"
+
+// CLI logic
+let program, options
+program = new Command();
+program
+	.name('slice-stats')
+	.description('Export network statistics of each slice, to see how the network evolves before computing layouts and rendering')
+  .option('-i, --input <file>', 'Slices JSON file, with or without layout (default: slices.json)')
+  .option('-o, --output <file>', 'Statistics file, one row per slice: CSV, TSV or JSON depending on the extension (default: slice-stats.csv)')
+  .option('-n, --nodes <file>', 'Also export a table of nodes, one row per node (slices where it is present, degrees): CSV, TSV or JSON depending on the extension.')
+  .showHelpAfterError()
+  .parse(process.argv);
+
+options = program.opts();
+
+// Logger
+const logger = getLogger(`log/${program.name()}.log`)
+logger.level = "debug"
+
+// Load slices
+const slicesFile = options.input || "slices.json"
+let data
+try {
+  data = await loadSlices(slicesFile)
+  logger.info(`Input file loaded: ${slicesFile}. It contains ${data.slices.length} slices.`)
+} catch (err) {
+  logger.error(`Error loading input file ${slicesFile}.\n${err}`)
+  process.exit()
+}
+
+
+/// COMPUTE STATISTICS
+
+// Slice statistics:
+// - nodes, edges: counts
+// - density: edges over possible edges (self-loops excluded; an undirected
+//   edge counts as two directed edges; above 1 with parallel edges)
+// - components, largestComponent: number of connected components (edge
+//   direction ignored), and number of nodes of the largest
+// - isolated: nodes without edges
+// - degreeMin, degreeMedian, degreeMean, degreeMax: total degrees
+// - entering, leaving: nodes not in the previous slice, and nodes of the
+//   previous slice not in this one
+let sliceRows = []
+let nodesIndex = new Map()
+let previousNodeIds = new Set()
+data.slices.forEach((slice, i) => {
+  const nodeIds = new Set(slice.nodes.map(node => node.id))
+  // Edges of nodes not in the slice are ignored (older slices may have some)
+  const edges = slice.edges.filter(edge => nodeIds.has(edge.source) && nodeIds.has(edge.target))
+
+  let degrees = new Map()
+  nodeIds.forEach(nid => {
+    degrees.set(nid, {in: 0, out: 0, total: 0})
+  })
+  let directedPairs = 0
+  edges.forEach(edge => {
+    const directed = (edge.type || data.defaultedgetype) != "undirected"
+    degrees.get(edge.source).out++
+    degrees.get(edge.target).in++
+    if (!directed) {
+      degrees.get(edge.source).in++
+      degrees.get(edge.target).out++
+    }
+    degrees.get(edge.source).total++
+    degrees.get(edge.target).total++
+    if (edge.source != edge.target) {
+      directedPairs += directed ? 1 : 2
+    }
+  })
+  const totalDegrees = [...degrees.values()].map(degree => degree.total)
+  const components = getComponents({nodes: slice.nodes, edges})
+  const n = nodeIds.size
+
+  sliceRows.push({
+    slice: i,
+    start: slice.start,
+    end: slice.end,
+    startLabel: slice.startLabel ?? slice.start,
+    endLabel: slice.endLabel ?? slice.end,
+    nodes: n,
+    edges: edges.length,
+    density: (n > 1) ? directedPairs / (n * (n - 1)) : 0,
+    components: components.length,
+    largestComponent: d3.max(components, component => component.size) || 0,
+    isolated: totalDegrees.filter(degree => degree == 0).length,
+    degreeMin: d3.min(totalDegrees) || 0,
+    degreeMedian: d3.median(totalDegrees) || 0,
+    degreeMean: d3.mean(totalDegrees) || 0,
+    degreeMax: d3.max(totalDegrees) || 0,
+    entering: [...nodeIds].filter(nid => !previousNodeIds.has(nid)).length,
+    leaving: [...previousNodeIds].filter(nid => !nodeIds.has(nid)).length,
+  })
+  previousNodeIds = nodeIds
+
+  // Node table
+  if (options.nodes) {
+    slice.nodes.forEach(node => {
+      let nodeRow = nodesIndex.get(node.id)
+      if (!nodeRow) {
+        nodeRow = {id: node.id, label: node.label, slices: 0, firstSlice: i, lastSlice: i, firstLabel: slice.startLabel ?? slice.start, lastLabel: slice.endLabel ?? slice.end, degreeSum: 0, degreeMax: 0, inDegreeMax: 0, outDegreeMax: 0}
+        nodesIndex.set(node.id, nodeRow)
+      }
+      if (nodeRow.lastSlice == i && nodeRow.slices > 0) {
+        // Duplicate node in a slice
+        return
+      }
+      const degree = degrees.get(node.id)
+      nodeRow.slices++
+      nodeRow.lastSlice = i
+      nodeRow.lastLabel = slice.endLabel ?? slice.end
+      nodeRow.degreeSum += degree.total
+      nodeRow.degreeMax = Math.max(nodeRow.degreeMax, degree.total)
+      nodeRow.inDegreeMax = Math.max(nodeRow.inDegreeMax, degree.in)
+      nodeRow.outDegreeMax = Math.max(nodeRow.outDegreeMax, degree.out)
+    })
+  }
+})
+
+// Summary
+const nodesExtent = d3.extent(sliceRows, row => row.nodes)
+const edgesExtent = d3.extent(sliceRows, row => row.edges)
+logger.info(`Nodes per slice: from ${nodesExtent[0]} to ${nodesExtent[1]} (mean ${d3.mean(sliceRows, row => row.nodes)?.toFixed(1)}). Edges per slice: from ${edgesExtent[0]} to ${edgesExtent[1]}.`)
+const emptySlices = sliceRows.filter(row => row.nodes == 0)
+if (emptySlices.length > 0) {
+  logger.warn(`${emptySlices.length} slices are empty, for instance slice ${emptySlices[0].slice} (${emptySlices[0].startLabel} – ${emptySlices[0].endLabel}).`)
+}
+const largestSlice = sliceRows[d3.maxIndex(sliceRows, row => row.nodes)]
+if (largestSlice) {
+  logger.info(`The largest slice is slice ${largestSlice.slice} (${largestSlice.startLabel} – ${largestSlice.endLabel}), with ${largestSlice.nodes} nodes and ${largestSlice.edges} edges.`)
+}
+
+
+/// SAVE
+
+function saveTable(file, rows) {
+  let content
+  if (/\.json$/i.test(file)) {
+    content = JSON.stringify(rows, null, 2)
+  } else if (/\.tsv$/i.test(file)) {
+    content = d3.tsvFormat(rows)
+  } else {
+    content = d3.csvFormat(rows)
+  }
+  fs.writeFileSync(file, content)
+}
+
+const outputFile = options.output || "slice-stats.csv"
+try {
+  saveTable(outputFile, sliceRows)
+  logger.info(`Slice statistics saved to: ${outputFile}`)
+} catch (err) {
+  logger.error(`Error saving the slice statistics to ${outputFile}.\n${err}`)
+}
+
+if (options.nodes) {
+  const nodeRows = [...nodesIndex.values()].map(nodeRow => {
+    const {degreeSum, ...row} = nodeRow
+    row.degreeMean = degreeSum / nodeRow.slices
+    return row
+  })
+  try {
+    saveTable(options.nodes, nodeRows)
+    logger.info(`Node table (${nodeRows.length} nodes) saved to: ${options.nodes}`)
+  } catch (err) {
+    logger.error(`Error saving the node table to ${options.nodes}.\n${err}`)
+  }
+}
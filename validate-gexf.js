@@ -0,0 +1,110 @@
+import { Command } from 'commander';
+import * as fs from "fs";
+import { getLogger } from "./-get-logger.js"
+import { readGexfHeader } from "./-gexf-stream.js"
+import { isValidTimeZone, parseDateTime } from "./-calendar.js"
+import { validateGexf } from "./-validate-gexf.js"
+
+// CLI logic
+let program, options
+program = new Command();
+program
+	.name('validate-gexf')
+	.description('Check a dynamic GEXF file before slicing it, and report the issues found')
+  .requiredOption('-i, --input <file>', 'GEXF file input (required)')
+  .option('-o, --output <file>', 'Also save the report as a JSON file.')
+  .option('--timeformat <format>', 'Time format: "date", "dateTime", "integer" or "double". Defaults to the time format of the GEXF.')
+  .option('--timezone <zone>', 'Time zone of dates without an offset: "UTC" or an IANA time zone such as "Europe/Paris". Default: UTC.')
+  .option('--max-examples <number>', 'Number of examples (with their line) reported for each check. Default: 10.')
+  .showHelpAfterError()
+  .parse(process.argv);
+
+options = program.opts();
+
+// Logger
+const logger = getLogger(`log/${program.name()}.log`)
+logger.level = "debug"
+
+// Check the header
+let header
+try {
+  header = await readGexfHeader(options.input)
+} catch (err) {
+  logger.error(`Error loading input file ${options.input}.\n${err}`)
+  process.exit()
+}
+const timeformat = options.timeformat || header.graph.timeformat
+const timerepresentation = header.graph.timerepresentation || "interval"
+logger.info(`GEXF version ${header.version || "(none)"}, mode "${header.graph.mode || "static"}", time format "${timeformat || "(none)"}", time representation "${timerepresentation}".`)
+if (header.version !== "1.3") {
+  logger.warn(`GEXF version is ${header.version}. The scripts are designed for version 1.3, so this version might not be supported.`)
+}
+if (header.graph.mode != "dynamic") {
+  logger.warn(`The graph is not dynamic. To slice it, set its time attributes (see --node-time and --edge-time in slice-gexf).`)
+}
+if (!timeformat) {
+  logger.warn(`The graph has no time format: times are read as integers. Set it with --timeformat.`)
+} else if (!["date", "dateTime", "integer", "double"].includes(timeformat)) {
+  logger.error(`GEXF time format is "${timeformat}" and is not currently supported.`)
+  process.exit()
+}
+if (timerepresentation != "interval" && timerepresentation != "timestamp") {
+  logger.error(`GEXF time representation is "${timerepresentation}" and is not currently supported.`)
+  process.exit()
+}
+const timeZone = options.timezone || "UTC"
+if (!isValidTimeZone(timeZone)) {
+  logger.error(`The time zone "${timeZone}" is not supported. Use "UTC" or an IANA time zone such as "Europe/Paris".`)
+  process.exit()
+}
+
+// Check nodes and edges
+let timeParser
+if (timeformat == "date" || timeformat == "dateTime") {
+  timeParser = time => parseDateTime(time, timeZone)
+}
+const report = await validateGexf(options.input, {
+  timeformat: timeformat || "integer",
+  timerepresentation,
+  timeParser,
+  maxExamples: (options.maxExamples === undefined) ? 10 : +options.maxExamples,
+})
+logger.info(`${report.nodes} nodes and ${report.edges} edges checked.`)
+
+// Report
+let errorsCount = 0
+let warningsCount = 0
+for (let check in report.checks) {
+  const reportCheck = report.checks[check]
+  if (reportCheck.count == 0) {
+    continue
+  }
+  if (reportCheck.severity == "error") {
+    errorsCount += reportCheck.count
+  } else {
+    warningsCount += reportCheck.count
+  }
+  const lines = [
+    `[${check}] ${reportCheck.count} ${reportCheck.description}`,
+    ...reportCheck.examples.map(example => `  line ${example.line}: ${example.message}`),
+  ]
+  if (reportCheck.count > reportCheck.examples.length) {
+    lines.push(`  ...and ${reportCheck.count - reportCheck.examples.length} more`)
+  }
+  logger[(reportCheck.severity == "error") ? "error" : "warn"](lines.join("\n"))
+}
+if (errorsCount + warningsCount == 0) {
+  logger.info(`No issue found.`)
+} else {
+  logger.info(`${errorsCount} errors and ${warningsCount} warnings found.`)
+}
+
+// Save report
+if (options.output) {
+  try {
+    fs.writeFileSync(options.output, JSON.stringify({file: options.input, header, ...report}, null, 2))
+    logger.info(`Report saved to: ${options.output}`)
+  } catch (err) {
+    logger.error(`Error saving the report to ${options.output}.\n${err}`)
+  }
+}